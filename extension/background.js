@@ -0,0 +1,92 @@
+/* Service worker:
+   - relays the keyboard shortcut from manifest "commands" to the content script of the
+     active tab, which renders the command palette
+   - keeps each tab's goal session, so a goal survives full page loads: content.js saves the
+     goal when one starts (and again on every run, which keeps it from expiring) and clears it
+     once it is done or stopped; the next page in the tab asks for it and resumes when it is
+     on the same origin. Stored in chrome.storage.session
+     (memory only: survives service worker restarts, gone when the browser closes)
+   - keeps each tab's last status line for the popup, out of the page's reach
+   - keeps each tab's goal state (the guided plan, the clicked trail, the autopilot's action
+     log) across page loads, also out of the page's reach: the page's own storage is
+     readable and writable by the site */
+const BB_TAB_SESSION_TTL_MS = 30 * 60 * 1000;
+const BB_TAB_STATE_PARTS = ['plan', 'trail', 'actionLog'];
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== 'open-palette') return;
+  const send = (tabId) => chrome.tabs.sendMessage(tabId, { type: 'BB_OPEN_PALETTE' }, () => {
+    // Pages without the content script (chrome://, the Web Store) have no receiver
+    void chrome.runtime.lastError;
+  });
+  if (tab && tab.id !== undefined) {
+    send(tab.id);
+    return;
+  }
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs[0]) send(tabs[0].id);
+  });
+});
+
+function tabSessionKey(tabId) {
+  return `bbTabSession:${tabId}`;
+}
+
+function tabStatusKey(tabId) {
+  return `bbTabStatus:${tabId}`;
+}
+
+function tabStateKey(tabId, part) {
+  return `bbTabState:${part}:${tabId}`;
+}
+
+// { type: 'BB_SESSION_SAVE', goal } | { type: 'BB_SESSION_CLEAR' } | { type: 'BB_SESSION_GET' } -> { session }
+// { type: 'BB_STATUS_SAVE', goal, text } | { type: 'BB_STATUS_GET' } -> { last }
+// { type: 'BB_TAB_STATE_SAVE', part, value } (null value clears) | { type: 'BB_TAB_STATE_GET', part } -> { value }
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Only the top frame's content script owns the tab's goal
+  if (!msg || !sender.tab || sender.frameId !== 0) return;
+  const key = tabSessionKey(sender.tab.id);
+  const origin = new URL(sender.url).origin;
+  if (msg.type === 'BB_SESSION_SAVE') {
+    chrome.storage.session.set({ [key]: { goal: msg.goal, origin, updatedAt: Date.now() } });
+  } else if (msg.type === 'BB_SESSION_CLEAR') {
+    chrome.storage.session.remove(key);
+  } else if (msg.type === 'BB_STATUS_SAVE') {
+    chrome.storage.session.set({ [tabStatusKey(sender.tab.id)]: { goal: msg.goal, text: msg.text, origin, at: Date.now() } });
+  } else if (msg.type === 'BB_STATUS_GET') {
+    const statusKey = tabStatusKey(sender.tab.id);
+    chrome.storage.session.get(statusKey).then((stored) => {
+      const last = stored[statusKey];
+      sendResponse({ last: last && last.origin === origin ? { goal: last.goal, text: last.text, at: last.at } : null });
+    });
+    return true;
+  } else if (msg.type === 'BB_TAB_STATE_SAVE' && BB_TAB_STATE_PARTS.includes(msg.part)) {
+    const stateKey = tabStateKey(sender.tab.id, msg.part);
+    if (msg.value == null) chrome.storage.session.remove(stateKey);
+    else chrome.storage.session.set({ [stateKey]: { value: msg.value, origin } });
+  } else if (msg.type === 'BB_TAB_STATE_GET' && BB_TAB_STATE_PARTS.includes(msg.part)) {
+    const stateKey = tabStateKey(sender.tab.id, msg.part);
+    chrome.storage.session.get(stateKey).then((stored) => {
+      const saved = stored[stateKey];
+      sendResponse({ value: saved && saved.origin === origin ? saved.value : null });
+    });
+    return true;
+  } else if (msg.type === 'BB_SESSION_GET') {
+    chrome.storage.session.get(key).then((stored) => {
+      const saved = stored[key];
+      if (saved && Date.now() - saved.updatedAt > BB_TAB_SESSION_TTL_MS) {
+        chrome.storage.session.remove(key);
+        sendResponse({ session: null });
+        return;
+      }
+      // Kept for a later page on its origin (e.g. after a detour through a login page)
+      sendResponse({ session: saved && saved.origin === origin ? saved : null });
+    });
+    return true;
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove([tabSessionKey(tabId), tabStatusKey(tabId), ...BB_TAB_STATE_PARTS.map((part) => tabStateKey(tabId, part))]);
+});
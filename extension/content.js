@@ -1,50 +1,264 @@
 /* Button Buddy content script */
 (() => {
-  // Resolve server URL with flexible overrides for easier dev/testing:
+  // Settings come from the options page (settings.js, chrome.storage.sync)
+  let settings = { ...BB_DEFAULT_SETTINGS };
+
+  // Server URL from settings. Page-controlled overrides are only honored in developer mode,
+  // otherwise any site could redirect our candidate data:
   // 1) localStorage '__bb_server_url'
   // 2) window.__BB_SERVER_URL (settable via console or injected script)
-  // 3) default to localhost:8787 (server default)
-  const SERVER_URL = (() => {
-    try {
-      const fromLS = localStorage.getItem('__bb_server_url');
-      if (fromLS && /^https?:\/\//.test(fromLS)) return fromLS;
-    } catch (_) {}
-    if (typeof window !== 'undefined' && window.__BB_SERVER_URL && /^https?:\/\//.test(window.__BB_SERVER_URL)) {
-      return window.__BB_SERVER_URL;
+  function serverUrl() {
+    if (settings.developerMode) {
+      try {
+        const fromLS = localStorage.getItem('__bb_server_url');
+        if (fromLS && /^https?:\/\//.test(fromLS)) return fromLS;
+      } catch (_) {}
+      if (typeof window !== 'undefined' && window.__BB_SERVER_URL && /^https?:\/\//.test(window.__BB_SERVER_URL)) {
+        return window.__BB_SERVER_URL;
+      }
     }
-    return 'http://localhost:8787';
-  })();
+    return (settings.serverUrl || BB_DEFAULT_SETTINGS.serverUrl).replace(/\/+$/, '');
+  }
+
+  function serverHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.authToken) headers.Authorization = `Bearer ${settings.authToken}`;
+    return headers;
+  }
 
   let currentGoal = '';
   let lastResult = null;
   let overlay = null;
   let rerunTimer = null;
 
-  const BB_UID_ATTR = 'data-bb-uid';
-  let uidCounter = 1;
+  // Picks for the current goal: the chosen element first, then its alternates, as
+  // { candidate, label, status, low, result, feedback? }. Alt+N / Alt+Shift+N cycle through them;
+  // Alt+X ("not this one") excludes the shown element and re-ranks without it.
+  let choices = [];
+  let choiceIndex = 0;
+  let excludedIds = new Set();
 
-  function assignUid(el) {
-    if (!el.getAttribute(BB_UID_ATTR)) {
-      el.setAttribute(BB_UID_ATTR, `__bb_uid_${uidCounter++}`);
+  // Guided plan for the current goal: { goal, steps: string[], current: number, done: boolean }.
+  // Kept per tab by the service worker (background.js) so it survives same-origin navigations,
+  // where the page can't plant one. Older versions kept it in the page's sessionStorage under
+  // this key; removed at startup.
+  // Plans replayed from a remembered path (paths.js) also carry `path`, the step descriptors.
+  const LEGACY_PLAN_KEY = '__bb_plan';
+  let plan = null;
+  let planPendingFor = '';
+
+  // Controls the user clicked while working on the current goal: { goal, origin, steps }.
+  // Kept per tab by the service worker next to the plan, and saved as a remembered path once
+  // the goal is completed. Older versions kept it in the page's sessionStorage under this key.
+  const LEGACY_TRAIL_KEY = '__bb_trail';
+  let trail = null;
+
+  // Autopilot (opt-in "Do it"): performs the confirmed step, waits for the page to settle,
+  // then shows the next suggestion. Destructive-sounding actions need a second confirmation.
+  // Every action is logged for the tab session (kept by the service worker with the plan and
+  // trail) and listed in the status panel. Older versions kept the log in the page's
+  // sessionStorage under this key.
+  const LEGACY_ACTION_LOG_KEY = '__bb_action_log';
+  const MAX_LOG_ENTRIES = 20;
+  const SETTLE_QUIET_MS = 600;
+  const SETTLE_MAX_MS = 5000;
+  const DESTRUCTIVE_RE = /\b(delete|remove|erase|destroy|discard|cancel|unsubscribe|deactivate|close (?:my )?account|terminate|revoke|reset|pay|payment|purchase|buy|checkout|check out|place order|order now|transfer|send money)\b/i;
+  let actionLog = [];
+
+  // Form filling: text-like fields and selects get a value proposed from the goal
+  // ("change my email to a@b.com") or the local profile (options page), previewed in the
+  // field and filled only on confirmation. Values found in the goal are redacted from
+  // everything sent to the server unless settings.shareFieldValues is on.
+  const FILLABLE_TYPES = new Set(['email', 'text', 'search', 'tel', 'url', 'number', 'textarea', 'select']);
+  const GOAL_VALUE_PATTERNS = [
+    { kind: 'email', re: /[^\s@"“”]+@[^\s@"“”]+\.[a-z]{2,}/i },
+    { kind: 'url', re: /\bhttps?:\/\/\S+/i },
+    { kind: 'phone', re: /\+?\d[\d\s().-]{6,}\d/ },
+    { kind: 'quoted', re: /["“]([^"”]+)["”]/ },
+    { kind: 'value', re: /\b(?:change|set|update|rename)\b.*?\b(?:to|as)\s+(.+)$/i },
+  ];
+  const PROFILE_HINTS = [
+    { field: 'email', re: /e-?mail/, autocomplete: 'email' },
+    { field: 'phone', re: /phone|mobile|\btel\b/, autocomplete: 'tel' },
+    { field: 'company', re: /company|organi[sz]ation/, autocomplete: 'organization' },
+    { field: 'address', re: /address|street/, autocomplete: 'street-address' },
+    { field: 'city', re: /\bcity\b|\btown\b/, autocomplete: 'address-level2' },
+    { field: 'postalCode', re: /postal|\bzip\b|postcode/, autocomplete: 'postal-code' },
+    { field: 'country', re: /country/, autocomplete: 'country-name' },
+    { field: 'fullName', re: /full.?name|your name|\bname\b/, autocomplete: 'name' },
+  ];
+  let profile = {};
+
+  // Offline: either the user chose local-only ranking (settings) or the server was
+  // unreachable recently, in which case we skip it until the retry window passes.
+  const SERVER_RETRY_MS = 30 * 1000;
+  let serverDownUntil = 0;
+  // Last auth/limit rejection from the server ({ status, retryAfter }), shown in the status panel
+  let serverError = null;
+
+  // Element ids are fingerprints of role, accessible name and landmark ancestry, so the same
+  // control gets the same id across reloads and re-renders (server cache hits, remembered
+  // choices). A robust selector is mixed in only when that is ambiguous on the page.
+  // Nothing is written to the page's DOM: ids resolve through this registry, rebuilt per scan.
+  const uidRegistry = new Map(); // id -> { ref: WeakRef<Element>, selector, role, accName, landmarks }
+
+  const LANDMARK_ROLES = new Set(['banner', 'complementary', 'contentinfo', 'dialog', 'form', 'main', 'navigation', 'region', 'search']);
+  const LANDMARK_TAGS = { aside: 'complementary', dialog: 'dialog', footer: 'contentinfo', form: 'form', header: 'banner', main: 'main', nav: 'navigation' };
+
+  // FNV-1a 32-bit, as on the server
+  function tinyHash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = (h + ((h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24))) >>> 0;
     }
-    return el.getAttribute(BB_UID_ATTR);
+    return h.toString(36);
   }
 
-  function elementBounds(el) {
+  // e.g. "navigation:Primary>main"
+  function landmarkPath(el) {
+    const parts = [];
+    for (let cur = parentOf(el); cur && cur.nodeType === 1; cur = parentOf(cur)) {
+      const role = cur.getAttribute('role') || LANDMARK_TAGS[cur.tagName.toLowerCase()] || '';
+      if (!LANDMARK_ROLES.has(role)) continue;
+      const name = cur.getAttribute('aria-label') || '';
+      parts.unshift(name ? `${role}:${name}` : role);
+    }
+    return parts.join('>');
+  }
+
+  // Unique id or test/name attribute when the page has one, else the structural DOM path.
+  // Generated-looking ids (long digit runs, hashes) change between renders and are skipped.
+  function robustSelector(el) {
+    const root = el.getRootNode ? el.getRootNode() : document;
+    const tag = el.tagName.toLowerCase();
+    const unique = (selector) => {
+      try {
+        return root.querySelectorAll(selector).length === 1;
+      } catch (_) {
+        return false;
+      }
+    };
+    if (el.id && !/\d{3,}|^[a-f0-9-]{8,}$|^:r/i.test(el.id) && unique(`#${CSS.escape(el.id)}`)) {
+      return `#${CSS.escape(el.id)}`;
+    }
+    for (const attr of ['data-testid', 'data-test', 'data-qa', 'name']) {
+      const value = el.getAttribute(attr);
+      const selector = value && `${tag}[${attr}="${CSS.escape(value)}"]`;
+      if (selector && unique(selector)) return selector;
+    }
+    return computeDomPath(el);
+  }
+
+  // taken: ids already handed out in this scan, to tell identical controls apart
+  function assignUid(el, taken, role, accName) {
+    const landmarks = landmarkPath(el);
+    const selector = robustSelector(el);
+    let id = `bb_${tinyHash(`${role}|${accName}|${landmarks}|${accName ? '' : selector}`)}`;
+    if (taken.has(id)) id += `_${tinyHash(selector)}`;
+    const base = id;
+    for (let n = 2; taken.has(id); n++) id = `${base}_${n}`;
+    taken.add(id);
+    uidRegistry.set(id, { ref: new WeakRef(el), selector, role, accName, landmarks });
+    return id;
+  }
+
+  // Shadow DOM / frame traversal. Candidates can live in open shadow roots and in
+  // same-origin iframes; closed roots and cross-origin frames are unreachable by design.
+  function styleOf(el) {
+    return (el.ownerDocument.defaultView || window).getComputedStyle(el);
+  }
+
+  // Parent element, stepping out of a shadow root to its host (but not out of a frame)
+  function parentOf(el) {
+    if (el.parentElement) return el.parentElement;
+    const root = el.getRootNode ? el.getRootNode() : null;
+    return root && root.host ? root.host : null;
+  }
+
+  function frameDocument(frame) {
+    try {
+      const doc = frame.contentDocument;
+      return doc && doc.documentElement ? doc : null;
+    } catch (_) {
+      return null; // cross-origin
+    }
+  }
+
+  // The document plus every reachable open shadow root and same-origin frame document
+  function collectRoots(root = document, out = []) {
+    out.push(root);
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) collectRoots(el.shadowRoot, out);
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        const doc = frameDocument(el);
+        if (doc && isVisible(el)) collectRoots(doc, out);
+      }
+    }
+    return out;
+  }
+
+  function deepQuerySelectorAll(selector) {
+    const found = [];
+    for (const root of collectRoots()) found.push(...root.querySelectorAll(selector));
+    return found;
+  }
+
+  function findByUid(id) {
+    const entry = id && uidRegistry.get(id);
+    if (!entry) return null;
+    const el = entry.ref.deref();
+    if (el && el.isConnected) return el;
+    // The page re-rendered the control: find it again by selector, then by role + name + landmarks
+    const same = (node) => inferRole(node) === entry.role && getAccessibleName(node) === entry.accName;
+    let found = null;
+    try {
+      found = deepQuerySelectorAll(entry.selector).find(same) || null;
+    } catch (_) {}
+    if (!found) {
+      found = deepQuerySelectorAll(CANDIDATE_SELECTOR).find((node) => same(node) && landmarkPath(node) === entry.landmarks) || null;
+    }
+    if (found) entry.ref = new WeakRef(found);
+    return found;
+  }
+
+  // id lookup scoped to the element's own tree (aria-labelledby inside a shadow root)
+  function lookupById(el, id) {
+    const root = el.getRootNode ? el.getRootNode() : document;
+    return (root.getElementById ? root.getElementById(id) : null) || el.ownerDocument.getElementById(id);
+  }
+
+  // Viewport rect of an element in top-document coordinates (adds enclosing frame offsets)
+  function topLevelRect(el) {
     const r = el.getBoundingClientRect();
+    let left = r.left;
+    let top = r.top;
+    let win = el.ownerDocument.defaultView;
+    while (win && win !== window && win.frameElement) {
+      const frame = win.frameElement;
+      const fr = frame.getBoundingClientRect();
+      left += fr.left + frame.clientLeft;
+      top += fr.top + frame.clientTop;
+      win = win.parent;
+    }
+    return { left, top, width: r.width, height: r.height };
+  }
+
+  function elementBounds(el) {
+    const r = topLevelRect(el);
     return { x: Math.round(r.left + window.scrollX), y: Math.round(r.top + window.scrollY), w: Math.round(r.width), h: Math.round(r.height) };
   }
 
   function isVisible(el) {
     const r = el.getBoundingClientRect();
-    const style = window.getComputedStyle(el);
+    const style = styleOf(el);
     if (style.visibility === 'hidden' || style.display === 'none' || parseFloat(style.opacity) === 0) return false;
     if (r.width < 1 || r.height < 1) return false;
     // Check it or an ancestor is not hidden via 'hidden' attribute
     let cur = el;
     while (cur) {
       if (cur.hasAttribute('hidden') || cur.getAttribute('aria-hidden') === 'true') return false;
-      cur = cur.parentElement;
+      cur = parentOf(cur);
     }
     return true;
   }
@@ -52,7 +266,7 @@
   function hasClickHandler(el) {
     if (typeof el.onclick === 'function') return true;
     // Heuristic: pointer cursor and bounding box > small
-    const style = window.getComputedStyle(el);
+    const style = styleOf(el);
     const r = el.getBoundingClientRect();
     if (style.cursor === 'pointer' && r.width > 8 && r.height > 8) return true;
     // Event listener detection (best effort)
@@ -69,14 +283,14 @@
         const classes = Array.from(cur.classList).slice(0, 2).join('.');
         if (classes) part += '.' + classes;
       }
-      const siblings = Array.from(cur.parentElement ? cur.parentElement.children : []);
+      const siblings = Array.from(cur.parentNode ? cur.parentNode.children : []);
       const sameTag = siblings.filter((s) => s.tagName === cur.tagName);
       if (sameTag.length > 1) {
         const index = sameTag.indexOf(cur) + 1;
         part += `:nth-of-type(${index})`;
       }
       parts.unshift(part);
-      cur = cur.parentElement;
+      cur = parentOf(cur);
     }
     return parts.join(' > ');
   }
@@ -92,7 +306,7 @@
     const ariaLabelledby = el.getAttribute && el.getAttribute('aria-labelledby');
     if (ariaLabelledby) {
       for (const id of ariaLabelledby.split(/\s+/)) {
-        const lab = document.getElementById(id);
+        const lab = lookupById(el, id);
         const t = lab ? (lab.textContent || '').trim() : '';
         if (t) labels.push(t);
       }
@@ -107,7 +321,7 @@
 
   function getAncestorTextSample(el) {
     const pieces = [];
-    let cur = el.parentElement;
+    let cur = parentOf(el);
     while (cur && pieces.join(' ').length < 140) {
       const t = (cur.getAttribute('aria-label') || '').trim();
       if (t) pieces.push(t);
@@ -116,7 +330,7 @@
         const ht = (heading.textContent || '').trim();
         if (ht) pieces.push(ht);
       }
-      cur = cur.parentElement;
+      cur = parentOf(cur);
     }
     const s = pieces.join(' • ');
     return s.length > 160 ? s.slice(0, 157) + '…' : s;
@@ -138,7 +352,7 @@
     const ariaLabelledby = el.getAttribute && el.getAttribute('aria-labelledby');
     if (ariaLabelledby) {
       for (const id of ariaLabelledby.split(/\s+/)) {
-        const lab = document.getElementById(id);
+        const lab = lookupById(el, id);
         const t = lab ? (lab.textContent || '').replace(/\s+/g, ' ').trim() : '';
         if (t) return t;
       }
@@ -168,10 +382,12 @@
       const id = result.elementId || result.id || '';
       let node = null;
       if (id) {
-        node = document.querySelector(`[${BB_UID_ATTR}="${id}"]`) || document.getElementById(id);
+        node = findByUid(id) || document.getElementById(id);
       }
       if (!node) return null;
 
+      // Logging (the page can read its console) and outlining (writes to the page's DOM) only when debugging
+      if (!settings.developerMode) return node;
       const tag = node.tagName ? node.tagName.toLowerCase() : '';
       const role = node.getAttribute ? (node.getAttribute('role') || '') : '';
       const type = node.getAttribute ? (node.getAttribute('type') || '') : '';
@@ -179,7 +395,6 @@
       const textSnippet = (node.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80);
       const payload = { id, source: result.source || '', tag, role, type, accName, textSnippet };
       console.log('[BB]', payload);
-
       const prevOutline = node.style.outline;
       node.style.outline = '3px solid magenta';
       const t = setTimeout(() => {
@@ -243,30 +458,33 @@
     return false;
   }
 
+  const CANDIDATE_SELECTOR = [
+    'a[href]',
+    'button',
+    'input:not([type="hidden"])',
+    'select',
+    'textarea',
+    '[role="button"]',
+    '[role="link"]',
+    '[role="tab"]',
+    '[role="menuitem"]'
+  ].join(',');
+
   function collectCandidates() {
-    const selector = [
-      'a[href]',
-      'button',
-      'input:not([type="hidden"])',
-      'select',
-      'textarea',
-      '[role="button"]',
-      '[role="link"]',
-      '[role="tab"]',
-      '[role="menuitem"]'
-    ].join(',');
-    const nodes = Array.from(document.querySelectorAll(selector));
+    const nodes = deepQuerySelectorAll(CANDIDATE_SELECTOR);
     const candidates = [];
+    const taken = new Set();
+    uidRegistry.clear();
     for (const el of nodes) {
       if (!isVisible(el)) continue;
       const bounds = elementBounds(el);
       const clickable = isClickable(el);
       const disabled = isDisabled(el);
       if (!clickable && !(el.tagName.toLowerCase() === 'input' || el.tagName.toLowerCase() === 'textarea' || el.tagName.toLowerCase() === 'select')) continue;
-      const id = assignUid(el);
       const accName = getAccessibleName(el);
-      const text = getTextShort(el);
       const role = inferRole(el);
+      const id = assignUid(el, taken, role, accName);
+      const text = getTextShort(el);
       const controlType = inferControlType(el);
       const labels = getLabelsForControl(el);
       const href = el.getAttribute && el.getAttribute('href');
@@ -295,72 +513,589 @@
         disabled: !!disabled,
         domPath,
         ancestorTextSample,
-        confidenceHints: { keywordHits: [], locale: document.documentElement.lang || navigator.language || 'en' },
+        confidenceHints: { keywordHits: [], locale: el.ownerDocument.documentElement.lang || document.documentElement.lang || navigator.language || 'en' },
         controlType,
       });
     }
     return candidates;
   }
 
-  function scoreCandidate(goalNorm, candidate) {
-    // Tokenize goal
-    const keywords = goalNorm.split(/\s+/).filter(Boolean);
-    const hayAcc = normalize(candidate.accName);
-    const hayText = normalize(candidate.text);
-    const hayLabels = normalize((candidate.labels || []).join(' '));
-    const hayAria = normalize(candidate.ariaLabel);
-    const hayAnc = normalize(candidate.ancestorTextSample);
+  // Local lexical ranking engine: used for provisional picks and for offline mode.
+  // Goal and candidate text are analyzed the same way (tokenize -> stem -> collapse
+  // synonym phrases to one term), then scored with BM25F over weighted fields plus
+  // small role/type priors. Every score carries the matched terms so the pick can be explained.
+  const BM25_K1 = 1.2;
+  const BM25_B = 0.75;
+  const LOCAL_PROVISIONAL_MIN_CONFIDENCE = 60;
 
-    let score = 0;
+  const LEXICAL_FIELDS = [
+    ['accName', 3, 'name'],
+    ['labels', 2, 'label'],
+    ['ariaLabel', 2, 'label'],
+    ['text', 1.5, 'text'],
+    ['placeholder', 1, 'placeholder'],
+    ['nameAttr', 1, 'field name'],
+    ['href', 1, 'link'],
+    ['ancestorTextSample', 0.6, 'section'],
+  ];
+
+  // Stopwords per language (diacritics already stripped by normalize). Goals drop the words of
+  // their own language and English, which is mixed into many goals anyway.
+  const STOPWORDS = {
+    en: [
+      'a', 'an', 'the', 'to', 'my', 'me', 'i', 'im', 'want', 'wanna', 'need', 'how', 'do', 'can', 'could', 'would',
+      'of', 'for', 'on', 'in', 'at', 'and', 'or', 'is', 'it', 'this', 'that', 'please', 'where', 'find', 'go', 'get',
+      'with', 'from', 'your', 'our', 'be', 'some', 'let', 'us',
+    ],
+    de: [
+      'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'mein', 'meine', 'meinen', 'meiner', 'ich', 'will',
+      'mochte', 'wie', 'kann', 'zu', 'zum', 'zur', 'und', 'oder', 'fur', 'mit', 'von', 'auf', 'im', 'in', 'bitte', 'wo',
+      'finden', 'mir', 'mich',
+    ],
+    fr: [
+      'le', 'la', 'les', 'l', 'un', 'une', 'des', 'de', 'du', 'd', 'mon', 'ma', 'mes', 'je', 'j', 'veux', 'voudrais',
+      'comment', 'pour', 'sur', 'dans', 'et', 'ou', 'avec', 'svp', 'trouver', 'me', 'm',
+    ],
+    es: [
+      'el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'mi', 'mis', 'yo', 'quiero', 'como', 'puedo', 'para', 'en',
+      'y', 'o', 'con', 'por', 'favor', 'donde', 'encontrar', 'me',
+    ],
+    ja: ['を', 'の', 'に', 'は', 'か', 'て', 'で', 'と', 'へ', 'する', 'した', 'したい', 'たい', 'い', 'ます', 'ください'],
+    zh: ['我', '的', '要', '想', '在', '把', '了', '请', '怎么'],
+  };
 
-    if (goalNorm && (hayAcc.includes(goalNorm) || hayText.includes(goalNorm))) score += 3;
+  // Each group collapses to one term (its first English phrase) in every language, so a German
+  // goal ("Passwort ändern") and an English page ("Change password") meet on the same terms.
+  // Phrases are matched as written and after stemming with their language's stemmer.
+  const SYNONYM_GROUPS = [
+    { en: ['sign out', 'log out', 'logout', 'signout', 'log off', 'logoff'], de: ['abmelden', 'ausloggen', 'abmeldung'], fr: ['se deconnecter', 'deconnexion'], es: ['cerrar sesion', 'salir'], ja: ['ログアウト', 'サインアウト'], zh: ['退出登录', '登出', '注销'] },
+    { en: ['sign in', 'log in', 'login', 'signin', 'log on'], de: ['anmelden', 'einloggen', 'anmeldung'], fr: ['se connecter', 'connexion'], es: ['iniciar sesion', 'acceder'], ja: ['ログイン', 'サインイン'], zh: ['登录', '登入'] },
+    { en: ['sign up', 'signup', 'register', 'create account', 'join'], de: ['registrieren', 'registrierung', 'konto erstellen'], fr: ["s'inscrire", 'inscription', 'creer un compte'], es: ['registrarse', 'crear cuenta', 'crear una cuenta'], ja: ['新規登録', 'アカウント作成'], zh: ['注册'] },
+    { en: ['settings', 'preferences', 'options', 'configuration', 'config'], de: ['einstellungen', 'optionen'], fr: ['parametres', 'reglages'], es: ['configuracion', 'ajustes', 'preferencias'], ja: ['設定'], zh: ['设置'] },
+    { en: ['account', 'profile', 'my account'], de: ['konto', 'profil', 'mein konto'], fr: ['compte', 'profil', 'mon compte'], es: ['cuenta', 'perfil', 'mi cuenta'], ja: ['アカウント', 'プロフィール'], zh: ['账户', '帐户', '个人资料'] },
+    { en: ['delete', 'remove', 'erase', 'trash'], de: ['loschen', 'entfernen'], fr: ['supprimer', 'effacer'], es: ['eliminar', 'borrar', 'quitar'], ja: ['削除'], zh: ['删除'] },
+    { en: ['email', 'e mail', 'mail'], de: ['e mail'], fr: ['courriel', 'adresse e mail'], es: ['correo', 'correo electronico'], ja: ['メール', 'メールアドレス'], zh: ['邮箱', '电子邮件'] },
+    { en: ['password', 'passcode', 'passphrase', 'pwd'], de: ['passwort', 'kennwort'], fr: ['mot de passe'], es: ['contrasena', 'clave'], ja: ['パスワード'], zh: ['密码'] },
+    { en: ['edit', 'change', 'update', 'modify'], de: ['andern', 'bearbeiten', 'aktualisieren'], fr: ['modifier', 'changer', 'mettre a jour'], es: ['editar', 'cambiar', 'actualizar', 'modificar'], ja: ['変更', '編集', '更新'], zh: ['修改', '编辑', '更改', '更新'] },
+    { en: ['billing', 'payment', 'invoice'], de: ['abrechnung', 'zahlung', 'rechnung'], fr: ['facturation', 'paiement', 'facture'], es: ['facturacion', 'pago', 'factura'], ja: ['請求', '支払い'], zh: ['账单', '付款', '发票'] },
+    { en: ['subscription', 'membership'], de: ['abonnement', 'abo', 'mitgliedschaft'], fr: ['abonnement'], es: ['suscripcion', 'membresia'], ja: ['サブスクリプション', '定期購入'], zh: ['订阅', '会员'] },
+    { en: ['users', 'members', 'team', 'people'], de: ['benutzer', 'nutzer', 'mitglieder'], fr: ['utilisateurs', 'membres', 'equipe'], es: ['usuarios', 'miembros', 'equipo'], ja: ['ユーザー', 'メンバー', 'チーム'], zh: ['用户', '成员', '团队'] },
+    { en: ['help', 'support', 'faq'], de: ['hilfe'], fr: ['aide', 'assistance'], es: ['ayuda', 'soporte'], ja: ['ヘルプ', 'サポート'], zh: ['帮助', '支持'] },
+    { en: ['notifications', 'alerts'], de: ['benachrichtigungen'], fr: ['alertes'], es: ['notificaciones', 'alertas'], ja: ['通知'], zh: ['通知'] },
+    { en: ['download', 'export'], de: ['herunterladen', 'exportieren'], fr: ['telecharger', 'exporter'], es: ['descargar', 'exportar'], ja: ['ダウンロード', 'エクスポート'], zh: ['下载', '导出'] },
+    { en: ['upload', 'import'], de: ['hochladen', 'importieren'], fr: ['televerser', 'importer'], es: ['subir', 'importar'], ja: ['アップロード', 'インポート'], zh: ['上传', '导入'] },
+    { en: ['search', 'lookup'], de: ['suche', 'suchen'], fr: ['rechercher', 'recherche'], es: ['buscar', 'busqueda'], ja: ['検索'], zh: ['搜索'] },
+    { en: ['cart', 'basket', 'bag'], de: ['warenkorb'], fr: ['panier'], es: ['carrito', 'cesta'], ja: ['カート'], zh: ['购物车'] },
+    { en: ['add', 'new', 'create'], de: ['hinzufugen', 'neu', 'erstellen'], fr: ['ajouter', 'nouveau', 'creer'], es: ['anadir', 'agregar', 'nuevo', 'crear'], ja: ['追加', '新規', '作成'], zh: ['添加', '新建', '创建'] },
+    { en: ['home', 'dashboard'], de: ['startseite', 'ubersicht'], fr: ['accueil', 'tableau de bord'], es: ['inicio'], ja: ['ホーム', 'ダッシュボード'], zh: ['首页', '主页'] },
+    { en: ['type', 'enter', 'fill in', 'fill out', 'fill', 'input', 'write'], de: ['eingeben', 'ausfullen', 'eintragen'], fr: ['saisir', 'remplir', 'entrer'], es: ['escribir', 'introducir', 'rellenar', 'ingresar'], ja: ['入力'], zh: ['输入', '填写'] },
+  ];
 
-    let keywordHits = 0;
-    for (const kw of keywords) {
-      if (!kw) continue;
-      if (hayAcc.includes(kw) || hayText.includes(kw) || hayLabels.includes(kw) || hayAria.includes(kw)) {
-        score += 2;
-        keywordHits++;
-      } else if (hayAnc.includes(kw)) {
-        score += 1;
+  function undouble(t) {
+    return /([^aeioulsz])\1$/.test(t) ? t.slice(0, -1) : t;
+  }
+
+  // Light suffix stripper: good enough to join settings/setting, changed/change, users/user
+  function stemEnglish(t) {
+    if (t.length <= 3 || /\d/.test(t)) return t;
+    if (t.endsWith('ies') && t.length > 4) t = t.slice(0, -3) + 'y';
+    else if (/(ch|sh|x|z|ss)es$/.test(t)) t = t.slice(0, -2);
+    else if (t.endsWith('s') && !/(ss|us|is)$/.test(t)) t = t.slice(0, -1);
+    if (t.endsWith('ing') && t.length > 5) t = undouble(t.slice(0, -3));
+    else if (t.endsWith('ed') && t.length > 4) t = undouble(t.slice(0, -2));
+    if (t.endsWith('e') && t.length > 4) t = t.slice(0, -1);
+    return t;
+  }
+
+  // Einstellungen/Einstellung, Benutzer/Benutzern
+  function stemGerman(t) {
+    if (t.length <= 4 || /\d/.test(t)) return t;
+    if (/(en|er|es|em)$/.test(t) && t.length > 5) return t.slice(0, -2);
+    if (/[ens]$/.test(t)) return t.slice(0, -1);
+    return t;
+  }
+
+  // paramètres/paramètre, configuraciones/configuración: plurals and a final e
+  function stemRomance(t) {
+    if (t.length <= 3 || /\d/.test(t)) return t;
+    if (t.endsWith('es') && t.length > 5) t = t.slice(0, -2);
+    else if (/[sx]$/.test(t)) t = t.slice(0, -1);
+    if (t.endsWith('e') && t.length > 4) t = t.slice(0, -1);
+    return t;
+  }
+
+  // Languages without a stemmer (CJK has no inflection to strip) keep words as they are
+  const STEMMERS = { en: stemEnglish, de: stemGerman, fr: stemRomance, es: stemRomance, it: stemRomance, pt: stemRomance };
+
+  function stemmerFor(lang) {
+    return STEMMERS[lang] || ((t) => t);
+  }
+
+  // "de-CH" -> "de"; '' for anything that isn't a language tag
+  function languageCode(tag) {
+    const m = /^([a-z]{2,3})(?:[-_][a-z0-9]{1,8})*$/i.exec(String(tag || '').trim());
+    return m ? m[1].toLowerCase() : '';
+  }
+
+  // Words that give a language away: its stopwords and its synonym phrases. The server keeps
+  // its own cue table in i18n.js and only uses it when a request carries no goalLanguage.
+  const LANGUAGE_CUES = (() => {
+    const byLang = {};
+    for (const [lang, list] of Object.entries(STOPWORDS)) byLang[lang] = new Set(list);
+    for (const group of SYNONYM_GROUPS) {
+      for (const [lang, phrases] of Object.entries(group)) {
+        for (const phrase of phrases) for (const w of normalize(phrase).split(/[^\p{L}\p{N}]+/u)) if (w) byLang[lang].add(w);
+      }
+    }
+    return byLang;
+  })();
+
+  // Script first (unambiguous), then the language with the most telltale words
+  function detectLanguage(text, fallback = '') {
+    const s = String(text || '');
+    if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(s)) return 'ja';
+    if (/\p{Script=Hangul}/u.test(s)) return 'ko';
+    if (/\p{Script=Han}/u.test(s)) return 'zh';
+    const words = new Set(normalize(s).split(/[^\p{L}\p{N}]+/u));
+    let best = fallback;
+    let bestHits = 0;
+    for (const [lang, known] of Object.entries(LANGUAGE_CUES)) {
+      let hits = 0;
+      for (const w of words) if (known.has(w)) hits++;
+      if (hits > bestHits) {
+        best = lang;
+        bestHits = hits;
+      }
+    }
+    return best;
+  }
+
+  function goalLanguage(goal) {
+    return detectLanguage(goal, languageCode(navigator.language) || 'en');
+  }
+
+  // The page's declared language, or a guess from its controls when <html lang> is missing
+  function pageLanguage(candidates) {
+    return languageCode(document.documentElement.lang) || detectLanguage(candidates.slice(0, 50).map((c) => c.accName || c.text).join(' '));
+  }
+
+  const stopwordSets = new Map();
+  function stopwordsFor(lang) {
+    if (!stopwordSets.has(lang)) stopwordSets.set(lang, new Set([...STOPWORDS.en, ...(STOPWORDS[lang] || [])]));
+    return stopwordSets.get(lang);
+  }
+
+  // Scripts written without spaces between words need a dictionary-based segmenter
+  const UNSPACED_SCRIPT_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+  const segmenters = new Map();
+
+  function segmentWords(s, lang) {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) {
+      // No segmenter: overlapping character pairs, the usual fallback for CJK search
+      return s.split(/\s+/).flatMap((run) =>
+        UNSPACED_SCRIPT_RE.test(run) && run.length > 2 ? Array.from({ length: run.length - 1 }, (_, i) => run.slice(i, i + 2)) : [run]
+      );
+    }
+    if (!segmenters.has(lang)) segmenters.set(lang, new Intl.Segmenter(lang || undefined, { granularity: 'word' }));
+    return Array.from(segmenters.get(lang).segment(s), (part) => (part.isWordLike ? part.segment : ' '));
+  }
+
+  function tokenize(s, lang = '') {
+    const text = String(s || '').replace(/([a-z])([A-Z])/g, '$1 $2');
+    // Segment before normalize(): stripping marks (e.g. Japanese dakuten) would confuse the segmenter
+    const words = UNSPACED_SCRIPT_RE.test(text) ? segmentWords(text, lang) : [text];
+    return words.flatMap((w) => normalize(w).split(/[^\p{L}\p{N}]+/u)).filter(Boolean);
+  }
+
+  // phrase (as written or stemmed) -> canonical term
+  const SYNONYMS = (() => {
+    const map = new Map();
+    for (const group of SYNONYM_GROUPS) {
+      const canonical = group.en[0].replace(/\s+/g, '');
+      for (const [lang, phrases] of Object.entries(group)) {
+        for (const phrase of phrases) {
+          const words = tokenize(phrase, lang);
+          map.set(words.join(' '), canonical);
+          map.set(words.map(stemmerFor(lang)).join(' '), canonical);
+        }
       }
     }
+    return map;
+  })();
+  const MAX_SYNONYM_WORDS = 3;
+
+  // -> [{ term, surface }]; stopwords are dropped for goals but kept inside synonym phrases.
+  // lang: language of the text (goal or page), picks the stemmer, stopwords and segmenter
+  function analyze(s, { dropStopwords = false, lang = 'en' } = {}) {
+    const words = tokenize(s, lang);
+    const stems = words.map(stemmerFor(lang));
+    const stopwords = stopwordsFor(lang);
+    const out = [];
+    for (let i = 0; i < words.length; ) {
+      let matched = false;
+      for (let n = Math.min(MAX_SYNONYM_WORDS, words.length - i); n >= 1; n--) {
+        const canonical = SYNONYMS.get(words.slice(i, i + n).join(' ')) || SYNONYMS.get(stems.slice(i, i + n).join(' '));
+        if (canonical) {
+          out.push({ term: canonical, surface: words.slice(i, i + n).join(' ') });
+          i += n;
+          matched = true;
+          break;
+        }
+      }
+      if (matched) continue;
+      if (!(dropStopwords && stopwords.has(words[i]))) out.push({ term: stems[i], surface: words[i] });
+      i++;
+    }
+    return out;
+  }
 
-    // Role/type priors
-    if (/password|security/.test(goalNorm)) {
-      if (hayAnc.includes('password') || hayAnc.includes('security')) score += 2;
-      if (candidate.controlType === 'password' || candidate.controlType === 'submit') score += 1;
+  function lexicalFieldText(c, field) {
+    if (field === 'labels') return (c.labels || []).join(' ');
+    if (field === 'href') {
+      // Only the path is meaningful; hosts and query strings are noise
+      try {
+        return c.href ? new URL(c.href, location.href).pathname.replace(/[\/_-]+/g, ' ') : '';
+      } catch (_) {
+        return '';
+      }
     }
-    if (/email|name/.test(goalNorm)) {
-      if (['email', 'text'].includes(candidate.controlType) && keywordHits) score += 2;
-      if (candidate.labels && candidate.labels.length) score += 1;
+    return c[field] || '';
+  }
+
+  function buildLexicalIndex(candidates) {
+    const docs = candidates.map((c) => {
+      const fields = {};
+      let length = 0;
+      const lang = languageCode(c.confidenceHints?.locale) || 'en';
+      for (const [name, weight] of LEXICAL_FIELDS) {
+        fields[name] = analyze(lexicalFieldText(c, name), { lang }).map((t) => t.term);
+        length += weight * fields[name].length;
+      }
+      return { c, fields, length };
+    });
+    const df = new Map();
+    for (const d of docs) {
+      const seen = new Set();
+      for (const name in d.fields) for (const t of d.fields[name]) seen.add(t);
+      for (const t of seen) df.set(t, (df.get(t) || 0) + 1);
     }
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+    return { docs, df, avgLength, n: docs.length };
+  }
 
-    // Interactability/visibility bonuses
-    if (candidate.clickable) score += 1;
-    if (candidate.disabled) score -= 3;
+  function containsSequence(terms, seq) {
+    if (!seq.length || terms.length < seq.length) return false;
+    for (let i = 0; i + seq.length <= terms.length; i++) {
+      if (seq.every((t, j) => terms[i + j] === t)) return true;
+    }
+    return false;
+  }
 
+  function rolePrior(queryTerms, c) {
+    const terms = new Set(queryTerms.map((q) => q.term));
+    const textLike = ['email', 'password', 'text', 'search', 'url', 'tel', 'number', 'textarea'].includes(c.controlType);
+    let prior = 0;
+    // "type", "enter", "fill in"... in any language collapse to "type" (SYNONYM_GROUPS)
+    if (terms.has('type')) {
+      if (textLike || c.controlType === 'select') prior += 0.8;
+    } else if (c.clickable) {
+      prior += 0.3;
+    }
+    if (terms.has('password') && (c.controlType === 'password' || c.controlType === 'submit')) prior += 0.5;
+    if (terms.has('email') && c.controlType === 'email') prior += 0.5;
+    if (c.disabled) prior -= 3;
     // Slight preference for medium-sized elements
-    const area = (candidate.bounds?.w || 0) * (candidate.bounds?.h || 0);
-    if (area > 200 && area < 200000) score += 0.5;
+    const area = (c.bounds?.w || 0) * (c.bounds?.h || 0);
+    if (area > 200 && area < 200000) prior += 0.2;
+    return prior;
+  }
 
-    return score;
+  function scoreLexical(index, doc, queryTerms) {
+    let score = 0;
+    const matches = [];
+    for (const q of queryTerms) {
+      let tf = 0;
+      let bestField = null;
+      let bestWeight = 0;
+      for (const [name, weight] of LEXICAL_FIELDS) {
+        const count = doc.fields[name].filter((t) => t === q.term).length;
+        if (!count) continue;
+        tf += weight * count;
+        if (weight > bestWeight) {
+          bestWeight = weight;
+          bestField = name;
+        }
+      }
+      if (!tf) continue;
+      const df = index.df.get(q.term) || 0;
+      const idf = Math.log(1 + (index.n - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / index.avgLength));
+      matches.push({ term: q.surface, field: bestField });
+    }
+    // Whole goal phrase in the control's own name/text beats scattered hits
+    const seq = queryTerms.map((q) => q.term);
+    if (seq.length > 1 && (containsSequence(doc.fields.accName, seq) || containsSequence(doc.fields.text, seq))) score += 1.5;
+    return { score: score + rolePrior(queryTerms, doc.c), matches };
   }
 
-  function preRank(goal, candidates) {
-    const goalNorm = normalize(goal);
-    const scored = candidates.map((c) => ({ c, score: scoreCandidate(goalNorm, c) }));
+  function explainLexical(entry) {
+    if (!entry || !entry.matches.length) return 'No words from the goal matched';
+    const byField = new Map();
+    for (const m of entry.matches) {
+      const label = LEXICAL_FIELDS.find(([name]) => name === m.field)[2];
+      if (!byField.has(label)) byField.set(label, []);
+      byField.get(label).push(`“${m.term}”`);
+    }
+    const parts = Array.from(byField, ([label, terms]) => `${terms.join(', ')} in ${label}`);
+    return `Matches ${parts.join('; ')}`;
+  }
+
+  // Coverage of goal terms and margin over the runner-up, mapped to 0-95
+  function lexicalConfidence(best, second, queryTerms) {
+    if (!best || !best.matches.length || !queryTerms.length) return 0;
+    const coverage = best.matches.length / queryTerms.length;
+    const margin = second && best.score > 0 ? Math.max(0, (best.score - second.score) / best.score) : 1;
+    const strongField = best.matches.some((m) => ['accName', 'labels', 'ariaLabel'].includes(m.field));
+    return Math.round(Math.max(5, Math.min(95, 25 + 45 * coverage + 20 * margin + (strongField ? 5 : 0))));
+  }
+
+  function rankLexical(goal, candidates) {
+    const queryTerms = analyze(goal, { dropStopwords: true, lang: goalLanguage(goal) }).filter(
+      (q, i, all) => all.findIndex((o) => o.term === q.term) === i
+    );
+    const index = buildLexicalIndex(candidates);
+    const scored = index.docs.map((doc) => ({ c: doc.c, ...scoreLexical(index, doc, queryTerms) }));
     scored.sort((a, b) => b.score - a.score);
+    return { scored, queryTerms };
+  }
+
+  function preRank(goal, candidates) {
+    const { scored, queryTerms } = rankLexical(goal, candidates);
     const top = scored.slice(0, 50).map((s) => {
       if (!s.c.confidenceHints) s.c.confidenceHints = {};
-      s.c.confidenceHints.keywordHits = []; // can be set above if needed
+      s.c.confidenceHints.keywordHits = s.matches.map((m) => m.term);
       return s.c;
     });
-    return { top, bestLocal: scored[0] ? scored[0].c : null, bestLocalScore: scored[0]?.score || 0 };
+    const best = scored[0] || null;
+    return {
+      top,
+      bestLocal: best && best.matches.length ? best.c : null,
+      bestLocalScore: best?.score || 0,
+      bestLocalConfidence: lexicalConfidence(best, scored[1], queryTerms),
+      bestLocalReason: explainLexical(best),
+      localAlternates: scored.slice(1, 4).filter((s) => s.matches.length).map((s) => s.c),
+      localScores: scored.slice(0, EXPLAIN_MAX_CANDIDATES).map((s) => ({ c: s.c, score: s.score, terms: s.matches.map((m) => m.term) })),
+    };
+  }
+
+  // Why the current pick was chosen, for the side panel (sidepanel.js). Plain data only:
+  // { goal, url, at, mode, candidates: [{ id, label, role, tag, score, terms }], local, server, serverError, siteHints }
+  const EXPLAIN_MAX_CANDIDATES = 20;
+  let explanation = null;
+
+  function explainRanking(update) {
+    explanation = { ...explanation, ...update, url: location.href, at: Date.now() };
+    // Nobody listens while the side panel is closed
+    chrome.runtime.sendMessage({ type: 'BB_EXPLANATION', explanation }, () => void chrome.runtime.lastError);
+  }
+
+  function startExplanation(goal, localScores, bestLocal, bestLocalConfidence, bestLocalReason) {
+    explanation = null;
+    explainRanking({
+      goal,
+      mode: isOffline() ? 'offline' : 'server',
+      candidates: localScores.map(({ c, score, terms }) => ({
+        id: c.id,
+        label: c.accName || c.text || c.ariaLabel || c.id,
+        role: c.role || '',
+        tag: c.tag || '',
+        score: Math.round(score * 100) / 100,
+        terms,
+      })),
+      local: bestLocal ? { elementId: bestLocal.id, confidence: bestLocalConfidence, reason: bestLocalReason } : null,
+      server: null,
+      serverError: '',
+      siteHints: [],
+    });
+  }
+
+  // All Button Buddy UI lives in one closed shadow root: page CSS can't restyle it, page
+  // scripts can't reach into it, and candidate scans (open roots only) never see it.
+  // Colors come from the theme's CSS variables, so the inline styles below use var(--bb-*).
+  const UI_THEMES = {
+    dark: {
+      surface: 'rgba(17,25,40,0.92)',
+      'surface-border': 'none',
+      text: '#fff',
+      'text-muted': '#D6E1FF',
+      'text-subtle': '#9FB3D9',
+      accent: '#5B9BFF',
+      'accent-text': '#fff',
+      'accent-glow': 'rgba(91,155,255,0.2)',
+      alt: 'rgba(91,155,255,0.6)',
+      badge: 'rgba(91,155,255,0.75)',
+      selected: 'rgba(91,155,255,0.35)',
+      low: '#A0A8B8',
+      line: 'rgba(255,255,255,0.15)',
+      control: 'rgba(255,255,255,0.08)',
+      'control-border': 'rgba(255,255,255,0.25)',
+      recording: 'rgba(207,34,46,0.5)',
+      hover: '#FF8C1A',
+      'hover-fill': 'rgba(255,140,26,0.12)',
+      preview: 'rgba(255,255,255,0.92)',
+      'preview-text': '#57606a',
+      shadow: '0 7px 24px rgba(0,0,0,0.28)',
+    },
+    light: {
+      surface: 'rgba(255,255,255,0.97)',
+      'surface-border': '1px solid #d0d7de',
+      text: '#24292f',
+      'text-muted': '#57606a',
+      'text-subtle': '#6e7781',
+      accent: '#0969da',
+      'accent-text': '#fff',
+      'accent-glow': 'rgba(9,105,218,0.2)',
+      alt: 'rgba(9,105,218,0.55)',
+      badge: 'rgba(9,105,218,0.85)',
+      selected: 'rgba(9,105,218,0.15)',
+      low: '#8c959f',
+      line: 'rgba(0,0,0,0.12)',
+      control: '#f6f8fa',
+      'control-border': 'rgba(0,0,0,0.2)',
+      recording: 'rgba(207,34,46,0.2)',
+      hover: '#bc4c00',
+      'hover-fill': 'rgba(188,76,0,0.1)',
+      preview: 'rgba(255,255,255,0.92)',
+      'preview-text': '#57606a',
+      shadow: '0 7px 24px rgba(0,0,0,0.15)',
+    },
+    // Solid colors only, with a dark halo so the ring stands out on light and dark pages alike
+    'high-contrast': {
+      surface: '#000',
+      'surface-border': '2px solid #fff',
+      text: '#fff',
+      'text-muted': '#fff',
+      'text-subtle': '#fff',
+      accent: '#ffff00',
+      'accent-text': '#000',
+      'accent-glow': '#000',
+      alt: '#00ffff',
+      badge: '#00ffff',
+      selected: 'rgba(255,255,0,0.35)',
+      low: '#fff',
+      line: '#fff',
+      control: '#000',
+      'control-border': '#fff',
+      recording: '#b00020',
+      hover: '#ff00ff',
+      'hover-fill': 'transparent',
+      preview: '#000',
+      'preview-text': '#fff',
+      shadow: 'none',
+    },
+  };
+
+  function themeRule(selector, vars) {
+    return `${selector}{${Object.entries(vars).map(([name, value]) => `--bb-${name}:${value}`).join(';')}}`;
+  }
+
+  // "auto" follows the system's dark mode and contrast preference; later rules win
+  const UI_CSS = [
+    themeRule(':host', UI_THEMES.dark),
+    themeRule(':host([data-theme="light"])', UI_THEMES.light),
+    `@media (prefers-color-scheme: light){${themeRule(':host([data-theme="auto"])', UI_THEMES.light)}}`,
+    themeRule(':host([data-theme="high-contrast"])', UI_THEMES['high-contrast']),
+    `@media (prefers-contrast: more), (forced-colors: active){${themeRule(':host([data-theme="auto"])', UI_THEMES['high-contrast'])}}`,
+    '.bb-ring,.bb-alt-ring{box-sizing:border-box}',
+    '.bb-tooltip{user-select:none}',
+    '.bb-sr-only{position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0}',
+    'button:focus-visible{outline:2px solid var(--bb-accent);outline-offset:1px}',
+    '@media (prefers-reduced-motion: reduce){*{transition:none !important;animation:none !important;scroll-behavior:auto !important}}',
+  ].join('\n');
+
+  let uiHost = null;
+  let uiRoot = null;
+  let liveRegion = null;
+  let lastAnnouncement = '';
+
+  // The shadow root everything is appended to, created (or re-attached) on demand
+  function ui() {
+    if (!uiHost) {
+      uiHost = document.createElement('button-buddy-ui');
+      // Inline !important beats any page rule that matches the host itself
+      uiHost.style.cssText = 'all:initial !important;display:block !important;position:absolute !important;left:0 !important;top:0 !important;width:0 !important;height:0 !important;z-index:2147483647 !important';
+      uiRoot = uiHost.attachShadow({ mode: 'closed' });
+      try {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(UI_CSS);
+        uiRoot.adoptedStyleSheets = [sheet];
+      } catch (_) {
+        const style = document.createElement('style');
+        style.textContent = UI_CSS;
+        uiRoot.appendChild(style);
+      }
+      liveRegion = document.createElement('div');
+      liveRegion.className = 'bb-sr-only';
+      liveRegion.setAttribute('role', 'status');
+      liveRegion.setAttribute('aria-live', 'polite');
+      liveRegion.setAttribute('aria-atomic', 'true');
+      uiRoot.appendChild(liveRegion);
+      applyTheme();
+    }
+    // Pages that replace <html> content (document.open, some SPA shells) drop the host
+    if (!uiHost.isConnected) document.documentElement.appendChild(uiHost);
+    return uiRoot;
+  }
+
+  function applyTheme() {
+    if (uiHost) uiHost.setAttribute('data-theme', UI_THEMES[settings.theme] ? settings.theme : 'auto');
+  }
+
+  // Read out by screen readers; repeats of the same text stay quiet
+  function announce(text) {
+    if (!text || text === lastAnnouncement) return;
+    lastAnnouncement = text;
+    ui();
+    liveRegion.textContent = text;
+  }
+
+  // Hover highlight for an entry in the side panel, separate from the pick's overlay
+  let hoverRing = null;
+
+  function highlightCandidate(id) {
+    const el = id ? findByUid(id) : null;
+    if (!el) {
+      if (hoverRing) hoverRing.style.display = 'none';
+      return;
+    }
+    if (!hoverRing) {
+      hoverRing = document.createElement('div');
+      hoverRing.id = '__bb_hover_ring';
+      hoverRing.style.position = 'absolute';
+      hoverRing.style.pointerEvents = 'none';
+      hoverRing.style.border = '2px dashed var(--bb-hover)';
+      hoverRing.style.borderRadius = '6px';
+      hoverRing.style.background = 'var(--bb-hover-fill)';
+      ui().appendChild(hoverRing);
+    }
+    // Top-level viewport coordinates: the ring is drawn in this document even for iframe controls
+    let rect = topLevelRect(el);
+    if (rect.top + rect.height < 0 || rect.top > window.innerHeight || rect.left + rect.width < 0 || rect.left > window.innerWidth) {
+      el.scrollIntoView({ block: 'center', inline: 'nearest' });
+      rect = topLevelRect(el);
+    }
+    hoverRing.style.left = `${rect.left + window.scrollX - 3}px`;
+    hoverRing.style.top = `${rect.top + window.scrollY - 3}px`;
+    hoverRing.style.width = `${rect.width + 6}px`;
+    hoverRing.style.height = `${rect.height + 6}px`;
+    hoverRing.style.display = '';
   }
 
   function ensureOverlay() {
-    if (overlay) return overlay;
+    if (overlay) {
+      ui();
+      return overlay;
+    }
     overlay = document.createElement('div');
     overlay.id = '__bb_overlay_root';
     overlay.style.position = 'absolute';
@@ -369,12 +1104,12 @@
     overlay.style.width = '0px';
     overlay.style.height = '0px';
     overlay.style.pointerEvents = 'none';
-    overlay.style.zIndex = '2147483647';
 
     const ring = document.createElement('div');
     ring.className = 'bb-ring';
     ring.style.position = 'absolute';
     ring.style.pointerEvents = 'none';
+    ring.setAttribute('aria-hidden', 'true');
     overlay.appendChild(ring);
 
     const tooltip = document.createElement('div');
@@ -383,11 +1118,231 @@
     tooltip.style.pointerEvents = 'auto';
     overlay.appendChild(tooltip);
 
-    document.documentElement.appendChild(overlay);
+    // Points at the target from the viewport edge while it is scrolled out of view
+    const arrow = document.createElement('button');
+    arrow.type = 'button';
+    arrow.className = 'bb-edge-arrow';
+    arrow.textContent = '➤';
+    arrow.title = 'Scroll to the highlighted element';
+    arrow.setAttribute('aria-label', 'Scroll to the highlighted element');
+    arrow.style.position = 'fixed';
+    arrow.style.display = 'none';
+    arrow.style.width = '32px';
+    arrow.style.height = '32px';
+    arrow.style.padding = '0';
+    arrow.style.border = '2px solid var(--bb-accent-text)';
+    arrow.style.borderRadius = '16px';
+    arrow.style.background = 'var(--bb-accent)';
+    arrow.style.color = 'var(--bb-accent-text)';
+    arrow.style.font = '15px/28px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+    arrow.style.textAlign = 'center';
+    arrow.style.boxShadow = 'var(--bb-shadow)';
+    arrow.style.cursor = 'pointer';
+    arrow.style.pointerEvents = 'auto';
+    arrow.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (overlayTrack && overlayTrack.el) scrollTargetIntoView(overlayTrack.el);
+    });
+    overlay.appendChild(arrow);
+
+    ui().appendChild(overlay);
     return overlay;
   }
 
-  function showOverlayFor(candidate, reason, confidence) {
+  // Live tracking of the highlighted element: ring, alternates, preview and tooltip follow it
+  // through page and inner-container scrolling, resizing and animation. While it is off-screen
+  // an arrow at the viewport edge points at it (click to scroll there).
+  // CSS transforms and animations move the target without any event, so while the overlay is
+  // shown an animation-frame loop compares the target's position: every OVERLAY_CHECK_MS when
+  // it is still, every frame for OVERLAY_SETTLE_MS after it or the page moved. Hidden tabs get
+  // no animation frames, so nothing runs there.
+  const OVERLAY_CHECK_MS = 250;
+  const OVERLAY_SETTLE_MS = 1000;
+  const EDGE_ARROW_MARGIN = 28;
+  let overlayTrack = null; // { id, el, alternates: [{ id, node }], frame, watchFrame, checkedAt, activeUntil, lastRect, observers, onScroll }
+
+  function toBox(r) {
+    return { left: r.left, top: r.top, right: r.left + r.width, bottom: r.top + r.height };
+  }
+
+  function intersectBox(a, b) {
+    const box = { left: Math.max(a.left, b.left), top: Math.max(a.top, b.top), right: Math.min(a.right, b.right), bottom: Math.min(a.bottom, b.bottom) };
+    return box.right > box.left && box.bottom > box.top ? box : null;
+  }
+
+  // Part of the element not clipped by scroll containers, frames or the viewport, in viewport
+  // coordinates of the top document; null when none of it can be seen
+  function visibleRect(el) {
+    let box = toBox(topLevelRect(el));
+    let node = parentOf(el);
+    while (node && box) {
+      const doc = node.ownerDocument;
+      if (node !== doc.documentElement && node !== doc.body) {
+        const style = styleOf(node);
+        if (style.overflowX !== 'visible' || style.overflowY !== 'visible') box = intersectBox(box, toBox(topLevelRect(node)));
+      }
+      let next = parentOf(node);
+      const frame = !next && doc.defaultView && doc.defaultView !== window ? doc.defaultView.frameElement : null;
+      if (frame && box) {
+        box = intersectBox(box, toBox(topLevelRect(frame)));
+        next = parentOf(frame);
+      }
+      node = next;
+    }
+    return box && intersectBox(box, { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight });
+  }
+
+  function mostlyHidden(el) {
+    const full = topLevelRect(el);
+    const visible = visibleRect(el);
+    if (!visible) return true;
+    const area = (visible.right - visible.left) * (visible.bottom - visible.top);
+    return area < 0.5 * full.width * full.height;
+  }
+
+  function scrollTargetIntoView(el) {
+    const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    el.scrollIntoView({ block: 'center', inline: 'nearest', behavior: reduceMotion ? 'auto' : 'smooth' });
+  }
+
+  // box: viewport coordinates; overlay children are absolutely positioned in the document
+  function placeBox(node, box) {
+    node.style.display = '';
+    node.style.left = `${Math.round(box.left + window.scrollX)}px`;
+    node.style.top = `${Math.round(box.top + window.scrollY)}px`;
+    node.style.width = `${Math.round(box.right - box.left)}px`;
+    node.style.height = `${Math.round(box.bottom - box.top)}px`;
+  }
+
+  function positionOverlay() {
+    if (!overlay || !overlayTrack) return;
+    const ring = overlay.querySelector('.bb-ring');
+    const tooltip = overlay.querySelector('.bb-tooltip');
+    const preview = overlay.querySelector('.bb-preview');
+    const arrow = overlay.querySelector('.bb-edge-arrow');
+    // The page may have re-rendered the control since it was picked
+    const el = overlayTrack.el && overlayTrack.el.isConnected ? overlayTrack.el : findByUid(overlayTrack.id);
+    overlayTrack.el = el;
+
+    for (const alt of overlayTrack.alternates) {
+      const altEl = findByUid(alt.id);
+      const box = altEl && visibleRect(altEl);
+      if (box) placeBox(alt.node, box);
+      else alt.node.style.display = 'none';
+    }
+
+    const box = el && visibleRect(el);
+    const vw = window.innerWidth;
+    const vh = window.innerHeight;
+    let anchor = null; // viewport box the tooltip attaches to
+    if (box) {
+      placeBox(ring, box);
+      if (preview) {
+        placeBox(preview, { left: box.left + 2, top: box.top + 2, right: box.right - 2, bottom: box.bottom - 2 });
+        preview.style.lineHeight = preview.style.height;
+      }
+      arrow.style.display = 'none';
+      anchor = box;
+    } else {
+      ring.style.display = 'none';
+      if (preview) preview.style.display = 'none';
+      if (el) {
+        const r = topLevelRect(el);
+        const cx = r.left + r.width / 2;
+        const cy = r.top + r.height / 2;
+        const ax = Math.min(vw - EDGE_ARROW_MARGIN, Math.max(EDGE_ARROW_MARGIN, cx));
+        const ay = Math.min(vh - EDGE_ARROW_MARGIN, Math.max(EDGE_ARROW_MARGIN, cy));
+        // Clipped by an inner container while its center is on screen: point down at the spot
+        const angle = ax === cx && ay === cy ? Math.PI / 2 : Math.atan2(cy - ay, cx - ax);
+        arrow.style.display = '';
+        arrow.style.left = `${Math.round(ax - 16)}px`;
+        arrow.style.top = `${Math.round(ay - 16)}px`;
+        arrow.style.transform = `rotate(${angle}rad)`;
+        anchor = { left: ax - 16, top: ay - 16, right: ax + 16, bottom: ay + 16 };
+      } else {
+        arrow.style.display = 'none';
+      }
+    }
+    if (!anchor) return;
+    // Above the target when there is room, else below; always inside the viewport
+    const tipW = tooltip.offsetWidth;
+    const tipH = tooltip.offsetHeight || 24;
+    const tipLeft = Math.min(Math.max(8, anchor.left), Math.max(8, vw - tipW - 8));
+    const tipTop = anchor.top - tipH - 4 >= 0 ? anchor.top - tipH - 4 : Math.min(anchor.bottom + 4, vh - tipH - 4);
+    tooltip.style.left = `${Math.round(tipLeft + window.scrollX)}px`;
+    tooltip.style.top = `${Math.round(tipTop + window.scrollY)}px`;
+  }
+
+  function scheduleOverlayPosition() {
+    if (!overlayTrack || overlayTrack.frame) return;
+    overlayTrack.frame = requestAnimationFrame(() => {
+      if (!overlayTrack) return;
+      overlayTrack.frame = 0;
+      positionOverlay();
+    });
+  }
+
+  function watchOverlay(now) {
+    if (!overlayTrack) return;
+    overlayTrack.watchFrame = requestAnimationFrame(watchOverlay);
+    if (document.hidden) return;
+    const settling = now < overlayTrack.activeUntil;
+    if (!settling && now - overlayTrack.checkedAt < OVERLAY_CHECK_MS) return;
+    overlayTrack.checkedAt = now;
+    const r = topLevelRect(overlayTrack.el);
+    const last = overlayTrack.lastRect;
+    if (last && r.left === last.left && r.top === last.top && r.width === last.width && r.height === last.height) return;
+    overlayTrack.lastRect = r;
+    overlayTrack.activeUntil = now + OVERLAY_SETTLE_MS;
+    positionOverlay();
+  }
+
+  function stopOverlayTracking() {
+    if (!overlayTrack) return;
+    cancelAnimationFrame(overlayTrack.frame);
+    cancelAnimationFrame(overlayTrack.watchFrame);
+    for (const observer of overlayTrack.observers) observer.disconnect();
+    window.removeEventListener('scroll', overlayTrack.onScroll, true);
+    window.removeEventListener('resize', overlayTrack.onScroll);
+    document.removeEventListener('visibilitychange', overlayTrack.onScroll);
+    overlayTrack = null;
+  }
+
+  // alternates: [{ id, node }] for the numbered alternate rings
+  function trackOverlay(candidate, alternates) {
+    const previous = overlayTrack && overlayTrack.el;
+    stopOverlayTracking();
+    const el = findByUid(candidate.id);
+    if (!el) return;
+    const onScroll = () => {
+      scheduleOverlayPosition();
+      if (overlayTrack) overlayTrack.activeUntil = performance.now() + OVERLAY_SETTLE_MS;
+    };
+    overlayTrack = { id: candidate.id, el, alternates, frame: 0, watchFrame: 0, checkedAt: 0, activeUntil: 0, lastRect: null, observers: [], onScroll };
+    // Capture phase sees scrolling inside any container, not just the window
+    window.addEventListener('scroll', onScroll, true);
+    window.addEventListener('resize', onScroll);
+    // Coming back to the tab: the page may have moved while nothing was watching
+    document.addEventListener('visibilitychange', onScroll);
+    try {
+      const resize = new ResizeObserver(onScroll);
+      resize.observe(el);
+      const intersection = new IntersectionObserver(onScroll);
+      intersection.observe(el);
+      overlayTrack.observers.push(resize, intersection);
+    } catch (_) {}
+    overlayTrack.watchFrame = requestAnimationFrame(watchOverlay);
+    // A new target the user can't see: bring it into view
+    if (el !== previous && mostlyHidden(el)) scrollTargetIntoView(el);
+    positionOverlay();
+  }
+
+  // opts.low: below the user's confidence threshold, drawn as a dashed, muted ring
+  // opts.alternates: [{ candidate, n }] drawn as numbered, fainter secondary rings
+  // opts.actions: [{ label, title, onClick }] buttons in the tooltip
+  // opts.preview: proposed field value, shown greyed inside the element
+  function showOverlayFor(candidate, reason, confidence, opts = {}) {
     if (!candidate) return hideOverlay();
     ensureOverlay();
     const ring = overlay.querySelector('.bb-ring');
@@ -397,25 +1352,105 @@
     ring.style.top = b.y + 'px';
     ring.style.width = b.w + 'px';
     ring.style.height = b.h + 'px';
-    ring.style.border = '2px solid #5B9BFF';
+    ring.style.border = opts.low ? '2px dashed var(--bb-low)' : '2px solid var(--bb-accent)';
     ring.style.borderRadius = '6px';
-    ring.style.boxShadow = '0 0 0 2px rgba(91,155,255,0.2)';
+    ring.style.boxShadow = opts.low ? 'none' : '0 0 0 2px var(--bb-accent-glow)';
+
+    overlay.querySelectorAll('.bb-alt-ring').forEach((el) => el.remove());
+    const altNodes = [];
+    for (const { candidate: alt, n } of opts.alternates || []) {
+      const altRing = document.createElement('div');
+      altRing.className = 'bb-alt-ring';
+      altRing.style.position = 'absolute';
+      altRing.style.pointerEvents = 'none';
+      altRing.style.left = alt.bounds.x + 'px';
+      altRing.style.top = alt.bounds.y + 'px';
+      altRing.style.width = alt.bounds.w + 'px';
+      altRing.style.height = alt.bounds.h + 'px';
+      altRing.style.border = '1px dashed var(--bb-alt)';
+      altRing.style.borderRadius = '6px';
+      const badge = document.createElement('span');
+      badge.textContent = String(n);
+      badge.style.position = 'absolute';
+      badge.style.left = '-8px';
+      badge.style.top = '-8px';
+      badge.style.width = '16px';
+      badge.style.height = '16px';
+      badge.style.borderRadius = '8px';
+      badge.style.background = 'var(--bb-badge)';
+      badge.style.color = 'var(--bb-accent-text)';
+      badge.style.font = '10px/16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+      badge.style.textAlign = 'center';
+      altRing.appendChild(badge);
+      overlay.insertBefore(altRing, ring);
+      altNodes.push({ id: alt.id, node: altRing });
+    }
 
     // If confidence is a number, compose legacy label; else treat reason as a precomposed label
     const label = typeof confidence === 'number'
       ? `${reason || 'Best match'} · ${Math.round(confidence || 0)}%`
       : (reason || '');
+    overlay.querySelectorAll('.bb-preview').forEach((el) => el.remove());
+    if (opts.preview) {
+      const preview = document.createElement('div');
+      preview.className = 'bb-preview';
+      preview.textContent = opts.preview;
+      preview.style.position = 'absolute';
+      preview.style.pointerEvents = 'none';
+      preview.style.left = (b.x + 2) + 'px';
+      preview.style.top = (b.y + 2) + 'px';
+      preview.style.width = Math.max(0, b.w - 4) + 'px';
+      preview.style.height = Math.max(0, b.h - 4) + 'px';
+      preview.style.padding = '0 6px';
+      preview.style.boxSizing = 'border-box';
+      preview.style.background = 'var(--bb-preview)';
+      preview.style.color = 'var(--bb-preview-text)';
+      preview.style.font = `italic 13px/${Math.max(0, b.h - 4)}px system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+      preview.style.whiteSpace = 'nowrap';
+      preview.style.overflow = 'hidden';
+      preview.style.textOverflow = 'ellipsis';
+      overlay.insertBefore(preview, tooltip);
+    }
+
     tooltip.textContent = label;
+    for (const action of opts.actions || []) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = action.label;
+      btn.title = action.title || '';
+      btn.style.marginLeft = '6px';
+      btn.style.padding = '0 6px';
+      btn.style.border = '1px solid var(--bb-control-border)';
+      btn.style.borderRadius = '3px';
+      btn.style.background = 'transparent';
+      btn.style.color = 'var(--bb-text)';
+      btn.style.font = 'inherit';
+      btn.style.cursor = 'pointer';
+      btn.addEventListener('click', (e) => {
+        // Keep the page from seeing clicks on our own controls
+        e.preventDefault();
+        e.stopPropagation();
+        action.onClick();
+      });
+      tooltip.appendChild(btn);
+    }
     tooltip.style.left = Math.max(8, b.x) + 'px';
     tooltip.style.top = Math.max(0, b.y - 28) + 'px';
-    tooltip.style.background = 'rgba(17,25,40,0.9)';
-    tooltip.style.color = '#fff';
+    tooltip.style.background = 'var(--bb-surface)';
+    tooltip.style.border = 'var(--bb-surface-border)';
+    tooltip.style.color = 'var(--bb-text)';
     tooltip.style.padding = '4px 6px';
     tooltip.style.borderRadius = '4px';
     tooltip.style.font = '12px/16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+    // Positions above come from scan time; from here on they follow the live element
+    trackOverlay(candidate, altNodes);
+    const name = candidate.accName || candidate.text || candidate.ariaLabel;
+    announce(name ? `Suggestion: ${candidate.role || 'control'} “${name}”. ${label}` : label);
   }
 
   function hideOverlay() {
+    stopOverlayTracking();
+    lastAnnouncement = '';
     if (!overlay) return;
     overlay.remove();
     overlay = null;
@@ -423,53 +1458,269 @@
 
   // New: persistent bottom-left status panel
   let statusPanel = null;
+  let statusHeaderEl = null;
+  let statusCollapseEl = null;
+  let statusStopEl = null;
+  let statusBodyEl = null;
   let statusTitleEl = null;
+  let statusStepEl = null;
+  let statusProgressEl = null;
+  let statusProgressFillEl = null;
   let statusTextEl = null;
+  let statusLogEl = null;
+  // Last status line and its goal, reported to the popup when it reopens (BB_GET_STATE). Kept by
+  // the service worker (background.js) for the tab, where the page can't read or change it.
+  // Older versions kept it in the page's sessionStorage under this key; removed at startup.
+  const LEGACY_LAST_STATUS_KEY = '__bb_last_status';
+  // Where the user dragged the panel and whether it is collapsed, for all sites (chrome.storage.local).
+  // left/top null: the default spot in the bottom-left corner.
+  const PANEL_STATE_KEY = 'bbStatusPanel';
+  const PANEL_MARGIN = 8;
+  const PANEL_KEY_STEP = 16;
+  let panelState = { left: null, top: null, collapsed: false };
+
+  function savePanelState() {
+    try {
+      chrome.storage.local.set({ [PANEL_STATE_KEY]: panelState });
+    } catch (_) {}
+  }
+
+  // Applies panelState, kept inside the viewport
+  function placeStatusPanel() {
+    if (!statusPanel) return;
+    if (panelState.left == null || panelState.top == null) {
+      statusPanel.style.left = '16px';
+      statusPanel.style.top = 'auto';
+      statusPanel.style.bottom = '16px';
+      return;
+    }
+    const rect = statusPanel.getBoundingClientRect();
+    const left = Math.min(Math.max(PANEL_MARGIN, panelState.left), Math.max(PANEL_MARGIN, window.innerWidth - rect.width - PANEL_MARGIN));
+    const top = Math.min(Math.max(PANEL_MARGIN, panelState.top), Math.max(PANEL_MARGIN, window.innerHeight - rect.height - PANEL_MARGIN));
+    statusPanel.style.left = `${Math.round(left)}px`;
+    statusPanel.style.top = `${Math.round(top)}px`;
+    statusPanel.style.bottom = 'auto';
+  }
+
+  function moveStatusPanel(left, top) {
+    panelState = { ...panelState, left, top };
+    placeStatusPanel();
+  }
+
+  function setPanelCollapsed(collapsed) {
+    panelState = { ...panelState, collapsed };
+    statusBodyEl.style.display = collapsed ? 'none' : '';
+    statusHeaderEl.style.marginBottom = collapsed ? '0' : '6px';
+    statusCollapseEl.textContent = collapsed ? '▸' : '▾';
+    statusCollapseEl.title = collapsed ? 'Expand' : 'Collapse';
+    statusCollapseEl.setAttribute('aria-label', collapsed ? 'Expand status panel' : 'Collapse status panel');
+    statusCollapseEl.setAttribute('aria-expanded', String(!collapsed));
+    placeStatusPanel();
+  }
+
+  // Drag by the header (pointer) or the grip (arrow keys); double-clicking the grip resets the spot
+  function makePanelDraggable(header, grip) {
+    header.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || e.target === statusCollapseEl || e.target === statusStopEl) return;
+      e.preventDefault();
+      const rect = statusPanel.getBoundingClientRect();
+      const dx = e.clientX - rect.left;
+      const dy = e.clientY - rect.top;
+      header.setPointerCapture(e.pointerId);
+      const onMove = (ev) => moveStatusPanel(ev.clientX - dx, ev.clientY - dy);
+      const onUp = () => {
+        header.removeEventListener('pointermove', onMove);
+        header.removeEventListener('pointerup', onUp);
+        header.removeEventListener('pointercancel', onUp);
+        savePanelState();
+      };
+      header.addEventListener('pointermove', onMove);
+      header.addEventListener('pointerup', onUp);
+      header.addEventListener('pointercancel', onUp);
+    });
+    grip.addEventListener('keydown', (e) => {
+      const delta = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+      if (!delta) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const rect = statusPanel.getBoundingClientRect();
+      moveStatusPanel(rect.left + delta[0] * PANEL_KEY_STEP, rect.top + delta[1] * PANEL_KEY_STEP);
+      savePanelState();
+    });
+    grip.addEventListener('dblclick', () => {
+      moveStatusPanel(null, null);
+      savePanelState();
+    });
+  }
 
   function ensureStatusPanel() {
-    if (statusPanel) return statusPanel;
+    if (statusPanel) {
+      ui();
+      return statusPanel;
+    }
     statusPanel = document.createElement('div');
     statusPanel.id = '__bb_status_panel';
+    statusPanel.setAttribute('role', 'region');
+    statusPanel.setAttribute('aria-label', 'Button Buddy status');
     statusPanel.style.position = 'fixed';
     statusPanel.style.left = '16px';
     statusPanel.style.bottom = '16px';
-    statusPanel.style.zIndex = '2147483647';
     statusPanel.style.pointerEvents = 'auto';
-    statusPanel.style.background = 'rgba(17,25,40,0.92)';
-    statusPanel.style.color = '#fff';
+    statusPanel.style.background = 'var(--bb-surface)';
+    statusPanel.style.border = 'var(--bb-surface-border)';
+    statusPanel.style.color = 'var(--bb-text)';
     statusPanel.style.padding = '11px 14px';
     statusPanel.style.borderRadius = '10px';
     statusPanel.style.font = '14px/22px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
-    statusPanel.style.boxShadow = '0 7px 24px rgba(0,0,0,0.28)';
+    statusPanel.style.boxShadow = 'var(--bb-shadow)';
     statusPanel.style.userSelect = 'none';
     statusPanel.style.minWidth = '216px';
+    statusPanel.style.maxWidth = 'min(420px, calc(100vw - 32px))';
     statusPanel.style.textAlign = 'left';
-    // Build panel content: title + status text
+
+    // Header: drag grip, title (the goal), collapse toggle
+    statusHeaderEl = document.createElement('div');
+    statusHeaderEl.style.display = 'flex';
+    statusHeaderEl.style.alignItems = 'flex-start';
+    statusHeaderEl.style.gap = '6px';
+    statusHeaderEl.style.marginBottom = '6px';
+    statusHeaderEl.style.cursor = 'move';
+    statusHeaderEl.style.touchAction = 'none';
+
+    const grip = document.createElement('button');
+    grip.type = 'button';
+    grip.textContent = '⠿';
+    grip.title = 'Drag to move, or use the arrow keys. Double-click to reset.';
+    grip.setAttribute('aria-label', 'Move status panel (arrow keys)');
+    grip.style.flex = '0 0 auto';
+    grip.style.padding = '0';
+    grip.style.border = 'none';
+    grip.style.background = 'transparent';
+    grip.style.color = 'var(--bb-text-subtle)';
+    grip.style.font = '16px/24px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+    grip.style.cursor = 'move';
+
     statusTitleEl = document.createElement('div');
     statusTitleEl.id = '__bb_status_title';
     statusTitleEl.textContent = '';
+    statusTitleEl.style.flex = '1';
     statusTitleEl.style.font = '18px/24px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
     statusTitleEl.style.fontWeight = '600';
-    statusTitleEl.style.marginBottom = '6px';
-    statusTitleEl.style.color = '#fff';
+    statusTitleEl.style.color = 'var(--bb-text)';
     statusTitleEl.style.wordBreak = 'break-word';
 
+    statusCollapseEl = document.createElement('button');
+    statusCollapseEl.type = 'button';
+    statusCollapseEl.setAttribute('aria-controls', '__bb_status_body');
+    statusCollapseEl.style.flex = '0 0 auto';
+    statusCollapseEl.style.padding = '0 4px';
+    statusCollapseEl.style.border = 'none';
+    statusCollapseEl.style.background = 'transparent';
+    statusCollapseEl.style.color = 'var(--bb-text-subtle)';
+    statusCollapseEl.style.font = '14px/24px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+    statusCollapseEl.style.cursor = 'pointer';
+    statusCollapseEl.addEventListener('click', () => {
+      setPanelCollapsed(!panelState.collapsed);
+      savePanelState();
+    });
+    statusStopEl = document.createElement('button');
+    statusStopEl.type = 'button';
+    statusStopEl.textContent = 'Stop';
+    statusStopEl.title = 'Stop working on this goal';
+    statusStopEl.style.flex = '0 0 auto';
+    statusStopEl.style.marginTop = '2px';
+    statusStopEl.style.padding = '0 6px';
+    statusStopEl.style.border = '1px solid var(--bb-control-border)';
+    statusStopEl.style.borderRadius = '4px';
+    statusStopEl.style.background = 'transparent';
+    statusStopEl.style.color = 'var(--bb-text)';
+    statusStopEl.style.font = '12px/18px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+    statusStopEl.style.cursor = 'pointer';
+    statusStopEl.addEventListener('click', stopGoal);
+    statusHeaderEl.append(grip, statusTitleEl, statusStopEl, statusCollapseEl);
+    makePanelDraggable(statusHeaderEl, grip);
+
+    statusBodyEl = document.createElement('div');
+    statusBodyEl.id = '__bb_status_body';
+
+    // Plan progress: "Step N of M · <step>" plus a thin progress bar (hidden without a plan)
+    statusStepEl = document.createElement('div');
+    statusStepEl.id = '__bb_status_step';
+    statusStepEl.style.display = 'none';
+    statusStepEl.style.font = '13px/18px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+    statusStepEl.style.color = 'var(--bb-text)';
+    statusStepEl.style.wordBreak = 'break-word';
+
+    statusProgressEl = document.createElement('div');
+    statusProgressEl.style.display = 'none';
+    statusProgressEl.style.height = '4px';
+    statusProgressEl.style.margin = '6px 0 8px';
+    statusProgressEl.style.borderRadius = '2px';
+    statusProgressEl.style.background = 'var(--bb-line)';
+    statusProgressEl.style.overflow = 'hidden';
+    statusProgressFillEl = document.createElement('div');
+    statusProgressFillEl.style.height = '100%';
+    statusProgressFillEl.style.width = '0%';
+    statusProgressFillEl.style.background = 'var(--bb-accent)';
+    statusProgressFillEl.style.transition = 'width 200ms ease-out';
+    statusProgressEl.appendChild(statusProgressFillEl);
+
     statusTextEl = document.createElement('div');
     statusTextEl.id = '__bb_status_text';
     statusTextEl.textContent = 'Ready';
-    statusTextEl.style.color = '#D6E1FF';
+    statusTextEl.style.color = 'var(--bb-text-muted)';
 
-    statusPanel.appendChild(statusTitleEl);
-    statusPanel.appendChild(statusTextEl);
-    document.documentElement.appendChild(statusPanel);
+    // Autopilot action log (hidden until something was done)
+    statusLogEl = document.createElement('ol');
+    statusLogEl.id = '__bb_status_log';
+    statusLogEl.setAttribute('aria-label', 'Actions taken');
+    statusLogEl.style.display = 'none';
+    statusLogEl.style.margin = '8px 0 0';
+    statusLogEl.style.padding = '6px 0 0 18px';
+    statusLogEl.style.borderTop = '1px solid var(--bb-line)';
+    statusLogEl.style.maxHeight = '96px';
+    statusLogEl.style.overflowY = 'auto';
+    statusLogEl.style.font = '12px/17px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+    statusLogEl.style.color = 'var(--bb-text-muted)';
+
+    statusBodyEl.append(statusStepEl, statusProgressEl, statusTextEl, statusLogEl);
+    statusPanel.append(statusHeaderEl, statusBodyEl);
+    ui().appendChild(statusPanel);
+    setPanelCollapsed(panelState.collapsed);
+    renderStopButton();
+    window.addEventListener('resize', placeStatusPanel);
+    try {
+      chrome.storage.local.get({ [PANEL_STATE_KEY]: null }, (stored) => {
+        const saved = stored && stored[PANEL_STATE_KEY];
+        if (!saved) return;
+        panelState = { ...panelState, ...saved };
+        setPanelCollapsed(!!panelState.collapsed);
+      });
+    } catch (_) {}
+    renderActionLog();
     return statusPanel;
   }
 
+  // Stop is offered while a goal session is running
+  function renderStopButton() {
+    if (statusStopEl) statusStopEl.style.display = session ? '' : 'none';
+  }
+
   function setStatus(text) {
     try {
       ensureStatusPanel();
       if (statusTextEl) statusTextEl.textContent = text || '';
     } catch (_) {}
+    chrome.runtime.sendMessage({ type: 'BB_STATUS_SAVE', goal: currentGoal, text: text || '' }, () => void chrome.runtime.lastError);
+  }
+
+  // Resolves to { goal, text, at } for this tab on this origin, or null
+  function loadLastStatus() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'BB_STATUS_GET' }, (resp) => {
+        resolve(chrome.runtime.lastError ? null : (resp && resp.last) || null);
+      });
+    });
   }
 
   function setStatusTitle(text) {
@@ -479,6 +1730,226 @@
     } catch (_) {}
   }
 
+  function renderActionLog() {
+    if (!statusLogEl) return;
+    statusLogEl.textContent = '';
+    statusLogEl.style.display = actionLog.length ? '' : 'none';
+    for (const entry of actionLog) {
+      const li = document.createElement('li');
+      const time = new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+      li.textContent = `${time} ${entry.text}${entry.confirmed ? ' (confirmed twice)' : ''}`;
+      statusLogEl.appendChild(li);
+    }
+    statusLogEl.scrollTop = statusLogEl.scrollHeight;
+  }
+
+  function renderPlanProgress() {
+    try {
+      ensureStatusPanel();
+      if (!plan || !plan.steps || plan.steps.length === 0) {
+        statusStepEl.style.display = 'none';
+        statusProgressEl.style.display = 'none';
+        return;
+      }
+      const total = plan.steps.length;
+      const doneCount = plan.done ? total : Math.min(plan.current, total);
+      statusStepEl.textContent = plan.done
+        ? `All ${total} step${total === 1 ? '' : 's'} done`
+        : `Step ${plan.current + 1} of ${total} · ${plan.steps[plan.current]}`;
+      statusProgressFillEl.style.width = Math.round((doneCount / total) * 100) + '%';
+      statusStepEl.style.display = '';
+      statusProgressEl.style.display = '';
+    } catch (_) {}
+  }
+
+  // Per-tab goal state in the service worker, for this origin only
+  function saveTabState(part, value) {
+    chrome.runtime.sendMessage({ type: 'BB_TAB_STATE_SAVE', part, value }, () => void chrome.runtime.lastError);
+  }
+
+  function loadTabState(part) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'BB_TAB_STATE_GET', part }, (resp) => {
+        resolve(chrome.runtime.lastError ? null : (resp && resp.value) || null);
+      });
+    });
+  }
+
+  // Plan state
+  function loadPlan() {
+    return loadTabState('plan');
+  }
+
+  function savePlan() {
+    saveTabState('plan', plan);
+  }
+
+  function loadTrail() {
+    return loadTabState('trail');
+  }
+
+  function saveTrail() {
+    saveTabState('trail', trail);
+  }
+
+  async function loadActionLog() {
+    const saved = await loadTabState('actionLog');
+    return Array.isArray(saved) ? saved : [];
+  }
+
+  function logAction(text, confirmed) {
+    actionLog = [...actionLog, { at: Date.now(), text, confirmed, page: location.pathname }].slice(-MAX_LOG_ENTRIES);
+    saveTabState('actionLog', actionLog);
+    renderActionLog();
+  }
+
+  // { email, url, phone, quoted, value } found in the goal text
+  function extractGoalValues(goal) {
+    const found = {};
+    for (const { kind, re } of GOAL_VALUE_PATTERNS) {
+      const m = String(goal || '').match(re);
+      if (m) found[kind] = (m[1] || m[0]).trim().replace(/[.,;]$/, '');
+    }
+    return found;
+  }
+
+  // The goal as sent to the server: values replaced by placeholders unless the user opted in
+  function goalForServer(goal) {
+    if (settings.shareFieldValues) return goal;
+    let out = String(goal || '');
+    for (const { kind, re } of GOAL_VALUE_PATTERNS) {
+      out = out.replace(new RegExp(re.source, re.flags + 'g'), (match, group) => {
+        // Patterns without a capture group get the match offset here
+        if (typeof group !== 'string') return `[${kind}]`;
+        // "change my email to [email]" is already redacted
+        return /^["“]?\[\w+\]["”]?$/.test(group.trim()) ? match : match.replace(group, `[${kind}]`);
+      });
+    }
+    return out;
+  }
+
+  function hrefPath(href) {
+    try {
+      return href ? new URL(href, location.href).pathname : '';
+    } catch (_) {
+      return '';
+    }
+  }
+
+  // How a clicked control is remembered; matched again by name/role/path, not by uid
+  function stepDescriptor(el) {
+    return {
+      accName: getAccessibleName(el),
+      role: inferRole(el),
+      tag: el.tagName.toLowerCase(),
+      domPath: computeDomPath(el),
+      href: hrefPath(el.getAttribute && el.getAttribute('href')),
+      text: getTextShort(el),
+      page: location.pathname,
+    };
+  }
+
+  function recordStep(el) {
+    if (!trail || trail.goal !== currentGoal) return;
+    const step = stepDescriptor(el);
+    const last = trail.steps[trail.steps.length - 1];
+    if (last && last.domPath === step.domPath && last.accName === step.accName) return;
+    if (trail.steps.length >= BB_MAX_PATH_STEPS) return;
+    trail.steps.push(step);
+    saveTrail();
+  }
+
+  function rememberTrail() {
+    if (trail && trail.steps.length) bbSavePath(trail.origin, trail.goal, trail.steps);
+  }
+
+  // Current candidate for a remembered step, or null when the control is gone or changed
+  function matchRememberedStep(step, candidates) {
+    const norm = (s) => String(s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    let best = null;
+    let bestScore = 0;
+    for (const c of candidates) {
+      const sameName = !!step.accName && norm(c.accName) === norm(step.accName);
+      const samePath = !!step.domPath && c.domPath === step.domPath;
+      if (!sameName && !samePath) continue;
+      let score = (sameName ? 3 : 0) + (samePath ? 2 : 0);
+      if (c.role === step.role) score++;
+      if (c.tag === step.tag) score++;
+      if (step.href && hrefPath(c.href) === step.href) score += 2;
+      if (step.text && norm(c.text) === norm(step.text)) score++;
+      if (score > bestScore) {
+        best = c;
+        bestScore = score;
+      }
+    }
+    // A name match with the same role and tag, or a path match backed by more evidence
+    return bestScore >= 5 ? best : null;
+  }
+
+  function describeStep(step) {
+    const name = step.accName || step.text || step.tag;
+    return ['input', 'textarea', 'select'].includes(step.tag) ? `Fill in “${name}”` : `Click “${name}”`;
+  }
+
+  // Shows the current (or a later, if the user got ahead) remembered step; false when
+  // none of them match this page, so the caller falls back to ranking
+  function showRememberedStep(candidates) {
+    for (let i = plan.current; i < plan.path.length; i++) {
+      const match = matchRememberedStep(plan.path[i], candidates);
+      if (!match) continue;
+      if (i !== plan.current) {
+        plan.current = i;
+        savePlan();
+      }
+      renderPlanProgress();
+      setChoices([{
+        candidate: match,
+        label: `Remembered • step ${i + 1}/${plan.path.length} — ${plan.steps[i]}`,
+        status: 'Remembered path',
+        low: false,
+        result: { elementId: match.id, reason: 'Remembered from a previous visit', confidence: 90, source: 'memory' },
+      }]);
+      return true;
+    }
+    return false;
+  }
+
+  // Plan context for /rank; single-step plans rank exactly like the legacy flow
+  function planContext() {
+    if (!plan || plan.done || plan.steps.length < 2) return null;
+    return { steps: plan.steps, current: plan.current };
+  }
+
+  function completeStep() {
+    if (!plan || plan.done) return;
+    plan.current++;
+    if (plan.current >= plan.steps.length) {
+      finishPlan();
+      return;
+    }
+    savePlan();
+    renderPlanProgress();
+    // Rejections were for the previous step's controls
+    excludedIds.clear();
+    reRankSoon('step');
+  }
+
+  function finishPlan() {
+    if (trail && trail.goal === plan.goal) rememberTrail();
+    trail = null;
+    saveTrail();
+    plan.done = true;
+    plan.current = plan.steps.length;
+    renderPlanProgress();
+    hideOverlay();
+    setStatus('Done');
+    endSession();
+    forgetSession();
+    currentGoal = '';
+    plan = null;
+    savePlan();
+  }
+
   // Site hints integration
   function getSiteHintsKey(origin, goal) {
     return `__bb_site_hints_${origin}_${goal.toLowerCase()}`;
@@ -501,6 +1972,22 @@
     return null;
   }
 
+  // Labels from every still-valid cached site-hints entry for this origin (popup autocomplete)
+  function cachedSiteHintLabels(origin) {
+    const prefix = getSiteHintsKey(origin, '');
+    const labels = new Set();
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key || !key.startsWith(prefix)) continue;
+        const data = JSON.parse(localStorage.getItem(key));
+        if (!data || Date.now() - data.timestamp >= 30 * 60 * 1000) continue;
+        for (const hint of data.hints || []) if (hint.label) labels.add(hint.label);
+      }
+    } catch (_) {}
+    return [...labels];
+  }
+
   function cacheSiteHints(origin, goal, hints) {
     try {
       const key = getSiteHintsKey(origin, goal);
@@ -514,82 +2001,651 @@
     }
   }
 
-  async function fetchSiteHints(origin, goal) {
+  async function fetchSiteHints(origin, goal, signal) {
     try {
-      const resp = await fetch(`${SERVER_URL}/site-hints`, {
+      const resp = await fetch(`${serverUrl()}/site-hints`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ origin, goal })
+        headers: serverHeaders(),
+        body: JSON.stringify({ origin, goal: goalForServer(goal) }),
+        signal,
       });
-      if (!resp.ok) throw new Error('Bad response');
+      await checkServerResponse(resp);
       const data = await resp.json();
       return data.hints || [];
     } catch (e) {
-      console.warn('Failed to fetch site hints:', e);
+      if (e.name !== 'AbortError') console.warn('Failed to fetch site hints:', e);
       return [];
     }
   }
 
-  async function rankWithServer(goal, topCandidates, siteHints = null) {
+  function isOffline() {
+    return settings.localOnly || Date.now() < serverDownUntil;
+  }
+
+  // fetch() rejects with TypeError when the server can't be reached at all
+  function noteServerFailure(e) {
+    if (e instanceof TypeError) serverDownUntil = Date.now() + SERVER_RETRY_MS;
+  }
+
+  // 401/429 are worth telling the user about; other failures just fall back silently
+  async function checkServerResponse(resp) {
+    if (resp.status === 401 || resp.status === 429) {
+      const body = await resp.json().catch(() => ({}));
+      serverError = {
+        status: resp.status,
+        budget: /budget/i.test(body.error || ''),
+        retryAfter: parseInt(resp.headers.get('Retry-After') || '', 10) || 0,
+      };
+    } else if (resp.ok) {
+      serverError = null;
+    }
+    if (!resp.ok) throw new Error('Bad response');
+  }
+
+  function describeServerError(err) {
+    if (!err) return '';
+    if (err.status === 401) return 'Server rejected the auth token — check Button Buddy settings';
+    if (err.budget) return 'Daily server budget used up — local matches only';
+    if (err.retryAfter) return `Rate limited — retry in ${err.retryAfter}s`;
+    return 'Rate limited — try again shortly';
+  }
+
+  async function fetchPlan(goal, topCandidates, siteHints = null, signal = undefined) {
     try {
-      const requestBody = { goal, candidates: topCandidates };
+      const requestBody = {
+        goal: goalForServer(goal),
+        candidates: topCandidates,
+        goalLanguage: goalLanguage(goal),
+        pageLanguage: pageLanguage(topCandidates),
+      };
       if (siteHints && siteHints.length > 0) {
         requestBody.siteHints = { hints: siteHints };
       }
-      
-      const resp = await fetch(`${SERVER_URL}/rank`, {
+      const resp = await fetch(`${serverUrl()}/plan`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
+        headers: serverHeaders(),
+        body: JSON.stringify(requestBody),
+        signal,
       });
-      if (!resp.ok) throw new Error('Bad response');
-      return await resp.json();
+      await checkServerResponse(resp);
+      const data = await resp.json();
+      return Array.isArray(data.steps) ? data.steps.filter((s) => typeof s === 'string' && s.trim()) : null;
     } catch (e) {
+      noteServerFailure(e);
       return null;
     }
   }
 
+  // Reads /rank/stream events; resolves with the final result, calling onProvisional
+  // for the early pick the server sends as soon as the model names a candidate
+  async function readRankStream(resp, onProvisional) {
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+      let nl;
+      while ((nl = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, nl).trim();
+        buffer = buffer.slice(nl + 1);
+        if (!line) continue;
+        const { type, ...event } = JSON.parse(line);
+        if (type === 'provisional' && onProvisional) onProvisional(event);
+        else if (type === 'final') return event;
+        else if (type === 'error') throw new Error(event.error || 'Rank stream error');
+      }
+      if (done) throw new Error('Rank stream ended without a result');
+    }
+  }
+
+  // Streams the ranking when the server supports it; older servers get a plain /rank.
+  // Resolves to null on failure or when signal aborts (a newer run started).
+  async function rankWithServer(goal, topCandidates, siteHints = null, planCtx = null, onProvisional = null, signal = undefined) {
+    try {
+      const requestBody = {
+        goal: goalForServer(goal),
+        candidates: topCandidates,
+        goalLanguage: goalLanguage(goal),
+        pageLanguage: pageLanguage(topCandidates),
+      };
+      if (siteHints && siteHints.length > 0) {
+        requestBody.siteHints = { hints: siteHints };
+      }
+      if (planCtx) {
+        requestBody.plan = planCtx;
+      }
+      if (excludedIds.size) {
+        requestBody.exclude = [...excludedIds];
+      }
+      // Lets the server apply feedback users gave on this site
+      requestBody.origin = location.origin;
+
+      const post = (path) => fetch(`${serverUrl()}${path}`, {
+        method: 'POST',
+        headers: serverHeaders(),
+        body: JSON.stringify(requestBody),
+        signal,
+      });
+      let resp = await post('/rank/stream');
+      if (resp.status === 404) resp = await post('/rank');
+      await checkServerResponse(resp);
+      if (!/ndjson/i.test(resp.headers.get('Content-Type') || '')) return await resp.json();
+      return await readRankStream(resp, onProvisional);
+    } catch (e) {
+      noteServerFailure(e);
+      return null;
+    }
+  }
+
+  // Goal session: everything that watches the page or talks to the server for the current goal.
+  // A new goal, Stop or finishing the plan tears it down, so nothing keeps re-ranking afterwards.
+  //   controller    aborts the session's /plan and /site-hints requests
+  //   run           AbortController of the latest runFlow; a newer run cancels the older one's /rank
+  //   observer      one MutationObserver for the whole session, filtered to changes that matter
+  //   signature     candidate ids of the last ranked scan; page changes that keep it skip the server
+  //   href          URL the session last ranked for; SPA route changes (history-hook.js) re-rank
+  //   cleanups / targetCleanups   listeners for the session / for the element currently shown
+  const RERANK_QUIET_MS = 400;
+  const RERANK_MAX_WAIT_MS = 2000; // busy pages never go quiet; re-rank at this pace at most
+  const SESSION_ATTRIBUTES = ['class', 'hidden', 'disabled', 'open', 'href', 'aria-hidden', 'aria-expanded', 'aria-disabled', 'aria-selected', 'aria-checked', 'aria-pressed'];
+  const NOISE_TAGS = new Set(['SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'TEMPLATE']);
+  let session = null; // { goal, controller, run, observer, roots, signature, href, pendingSince, pendingReason, cleanups, targetCleanups }
+
+  // Attribute changes count on a control or on a container of controls (a menu opening, a panel
+  // hiding). <html> and <body> classes mostly track scroll position or theme, so they never count.
+  function isMeaningfulAttributeChange(target) {
+    if (target.nodeType !== 1) return false;
+    if (target.matches(CANDIDATE_SELECTOR)) return true;
+    if (target === document.documentElement || target === document.body) return false;
+    return !!target.querySelector(CANDIDATE_SELECTOR);
+  }
+
+  // Controls appearing, going away or changing state; text, scripts/styles and our own UI are noise
+  function isMeaningfulMutation(record) {
+    if (isOwnNode(record.target)) return false;
+    if (record.type === 'attributes') return isMeaningfulAttributeChange(record.target);
+    return [...record.addedNodes, ...record.removedNodes].some((n) => n.nodeType === 1 && !NOISE_TAGS.has(n.tagName) && !isOwnNode(n));
+  }
+
+  function observeForSession(root) {
+    if (!session || !root || session.roots.has(root)) return;
+    session.roots.add(root);
+    session.observer.observe(root, { subtree: true, childList: true, attributes: true, attributeFilter: SESSION_ATTRIBUTES });
+  }
+
+  function startSession(goal) {
+    endSession();
+    const observer = new MutationObserver((records) => {
+      if (records.some(isMeaningfulMutation)) reRankSoon('mutation');
+    });
+    session = { goal, controller: new AbortController(), run: null, observer, roots: new Set(), signature: '', href: location.href, pendingSince: 0, pendingReason: '', cleanups: [], targetCleanups: [] };
+    observeForSession(document.body);
+    // The debounce waits for the new view to render: its mutations keep the re-rank pending
+    const onNavigate = (e) => {
+      // replaceState often just records scroll or filter state for the same view
+      if (e.type === 'bb:locationchange' && location.href === session.href) return;
+      session.href = location.href;
+      reRankSoon(e.type === 'bb:locationchange' ? 'route' : e.type);
+    };
+    const navigationEvents = ['popstate', 'hashchange', 'bb:locationchange'];
+    for (const type of navigationEvents) window.addEventListener(type, onNavigate);
+    session.cleanups.push(() => {
+      for (const type of navigationEvents) window.removeEventListener(type, onNavigate);
+    });
+    persistSession(goal);
+    renderStopButton();
+  }
+
+  function endSession() {
+    window.clearTimeout(rerunTimer);
+    if (!session) return;
+    session.controller.abort();
+    if (session.run) session.run.abort();
+    session.observer.disconnect();
+    for (const cleanup of [...session.targetCleanups, ...session.cleanups]) cleanup();
+    session = null;
+    // Its /plan request was aborted; the next session asks again
+    planPendingFor = '';
+    renderStopButton();
+  }
+
+  // The tab's goal in the service worker (background.js), so the next page load can resume it
+  function persistSession(goal) {
+    chrome.runtime.sendMessage({ type: 'BB_SESSION_SAVE', goal }, () => void chrome.runtime.lastError);
+  }
+
+  function forgetSession() {
+    chrome.runtime.sendMessage({ type: 'BB_SESSION_CLEAR' }, () => void chrome.runtime.lastError);
+  }
+
+  // Resolves to { goal, origin, updatedAt } when this tab has a goal on this origin, else null
+  function loadTabSession() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'BB_SESSION_GET' }, (resp) => {
+        resolve(chrome.runtime.lastError ? null : (resp && resp.session) || null);
+      });
+    });
+  }
+
+  // Called at the start of every ranking: cancels the previous run's requests
+  function beginRun() {
+    if (session.run) session.run.abort();
+    session.run = new AbortController();
+    return session.run.signal;
+  }
+
+  // Stop (status panel, popup): drop the goal and everything that was watching the page for it
+  function stopGoal() {
+    if (!currentGoal && !session) return;
+    endSession();
+    forgetSession();
+    currentGoal = '';
+    plan = null;
+    savePlan();
+    trail = null;
+    saveTrail();
+    choices = [];
+    excludedIds = new Set();
+    hideOverlay();
+    highlightCandidate(null);
+    renderPlanProgress();
+    setStatus('Stopped');
+  }
+
+  // Debounced: waits for RERANK_QUIET_MS of calm, RERANK_MAX_WAIT_MS at most. A pending
+  // step, input or navigation re-rank is not downgraded to a mutation one.
   function reRankSoon(reason) {
+    if (!session) return;
+    const now = Date.now();
+    if (!session.pendingSince) session.pendingSince = now;
+    if (!session.pendingReason || reason !== 'mutation') session.pendingReason = reason || 'rerank';
     window.clearTimeout(rerunTimer);
+    const pending = session;
     rerunTimer = window.setTimeout(() => {
-      if (currentGoal) runFlow(currentGoal, reason || 'rerank');
-    }, 400);
+      if (session !== pending) return;
+      const trigger = session.pendingReason;
+      session.pendingSince = 0;
+      session.pendingReason = '';
+      if (currentGoal) runFlow(currentGoal, trigger);
+    }, Math.max(0, Math.min(RERANK_QUIET_MS, session.pendingSince + RERANK_MAX_WAIT_MS - now)));
   }
 
+  // Input on the shown field and use of the shown control; replaced whenever another element is shown
   function attachCompletionDetectors(targetEl) {
-    const area = targetEl.closest('form') || targetEl;
-    const mo = new MutationObserver(() => reRankSoon('mutation'));
-    mo.observe(document.body, { subtree: true, childList: true, attributes: true });
-    window.addEventListener('popstate', () => reRankSoon('popstate'), { once: true });
-    window.addEventListener('hashchange', () => reRankSoon('hashchange'), { once: true });
-    if (targetEl instanceof HTMLInputElement || targetEl instanceof HTMLTextAreaElement || targetEl instanceof HTMLSelectElement) {
+    if (!session) return;
+    for (const cleanup of session.targetCleanups.splice(0)) cleanup();
+    // Mutations inside a shadow root or frame don't reach the observer on document.body
+    const targetRoot = targetEl.getRootNode();
+    if (targetRoot !== document) observeForSession(targetRoot.body || targetRoot);
+    const listen = (type, handler, options) => {
+      targetEl.addEventListener(type, handler, options);
+      session.targetCleanups.push(() => targetEl.removeEventListener(type, handler, options));
+    };
+    // Tag check rather than instanceof: elements from a frame have that frame's constructors
+    const isField = ['INPUT', 'TEXTAREA', 'SELECT'].includes(targetEl.tagName);
+    if (isField) {
       const onChanged = () => reRankSoon('input');
-      targetEl.addEventListener('change', onChanged, { once: true });
-      targetEl.addEventListener('input', onChanged, { once: true });
+      listen('change', onChanged, { once: true });
+      listen('input', onChanged, { once: true });
+    }
+    // Plan mode: using the highlighted control completes the step it was chosen for
+    if (plan && !plan.done && targetEl !== document.body) {
+      const stepAtAttach = plan.current;
+      const onStepDone = () => {
+        if (plan && !plan.done && plan.current === stepAtAttach) completeStep();
+      };
+      listen(isField ? 'change' : 'click', onStepDone, { once: true, capture: true });
+    }
+  }
+
+  function isLowConfidence(confidence) {
+    return Math.round(confidence || 0) < (Number(settings.confidenceThreshold) || 0);
+  }
+
+  function confidenceStatus(confidence, prefix = '') {
+    const pct = Math.round(confidence || 0);
+    const text = isLowConfidence(confidence) ? `Low confidence (${pct}%) — try rephrasing` : `${pct}% certain`;
+    return prefix ? `${prefix} · ${text}` : text;
+  }
+
+  // Show the local engine's pick with its explanation; false when nothing matched the goal
+  function showLocalPick(bestLocal, confidence, reason, sourceLabel, alternates = []) {
+    if (!bestLocal) return false;
+    setChoices([
+      {
+        candidate: bestLocal,
+        label: `${sourceLabel} • ${Math.round(confidence || 0)}% — ${reason}`,
+        status: confidenceStatus(confidence, sourceLabel),
+        low: isLowConfidence(confidence),
+        result: { elementId: bestLocal.id, reason, confidence, source: 'local' },
+      },
+      ...alternateChoices(alternates, sourceLabel, 'local'),
+    ]);
+    return true;
+  }
+
+  function alternateChoices(alternates, sourceLabel, source) {
+    return alternates.map((c, i) => ({
+      candidate: c,
+      label: `${sourceLabel} • alternate ${i + 1}`,
+      status: 'Showing an alternate',
+      low: true,
+      result: { elementId: c.id, reason: 'Alternate', source },
+    }));
+  }
+
+  function showChoice(index) {
+    const choice = choices[index];
+    if (!choice) return;
+    choiceIndex = index;
+    lastResult = choice.result;
+    // Debug before drawing overlay
+    bbDebugChosen(lastResult);
+    const position = choices.length > 1 ? `${index + 1}/${choices.length} · ` : '';
+    const alternates = choices
+      .map((c, i) => ({ candidate: c.candidate, n: i + 1 }))
+      .filter((_, i) => i !== index);
+    const actions = [
+      { label: '👍', title: 'Right element (remembered for this site)', onClick: confirmChoice },
+      { label: '👎', title: 'Not this one: find another match (Alt+X)', onClick: rejectChoice },
+    ];
+    if (choices.length > 1) {
+      actions.unshift({ label: 'Next', title: 'Show the next best match (Alt+N)', onClick: () => cycleChoice(1) });
     }
-    // Clean up on next run by recreating observers per run
+    if (settings.autopilot) {
+      actions.unshift({ label: 'Do it', title: 'Perform this step for me', onClick: () => doChoice(choice) });
+    }
+    const el = findByUid(choice.candidate.id);
+    const fill = el && proposeFill(choice.candidate, el);
+    if (fill) {
+      actions.unshift({ label: 'Fill', title: `Fill in “${fill.display}” (from ${fill.source})`, onClick: () => fillChoice(choice, fill) });
+    }
+    showOverlayFor(choice.candidate, position + choice.label, undefined, { low: choice.low, alternates, actions, preview: fill && fill.display });
+    setStatus(choice.status);
+    attachCompletionDetectors(findByUid(choice.candidate.id) || document.body);
+  }
+
+  // A re-rank that returns the element the user cycled to keeps it selected
+  function setChoices(list) {
+    const selectedId = choices[choiceIndex]?.candidate.id;
+    choices = list;
+    const kept = choices.findIndex((c) => c.candidate.id === selectedId);
+    showChoice(kept >= 0 ? kept : 0);
+  }
+
+  function cycleChoice(delta) {
+    if (choices.length < 2) return;
+    showChoice((choiceIndex + delta + choices.length) % choices.length);
+  }
+
+  // Sets a value the way a user edit would, so framework-controlled fields (React etc.) notice
+  function setNativeValue(el, value) {
+    const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value')?.set;
+    if (setter) setter.call(el, value);
+    else el.value = value;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  // The option of a <select> named in the current step or goal (longest match wins)
+  function optionForGoal(select) {
+    const wanted = `${plan && !plan.done ? plan.steps[plan.current] || '' : ''} ${currentGoal}`.toLowerCase();
+    let best = null;
+    for (const option of Array.from(select.options)) {
+      const text = option.text.trim().toLowerCase();
+      if (text && wanted.includes(text) && (!best || text.length > best.text.trim().length)) best = option;
+    }
+    return best;
+  }
+
+  function profileFieldFor(candidate, el) {
+    const autocomplete = (el.getAttribute('autocomplete') || '').toLowerCase();
+    if (candidate.controlType === 'email') return 'email';
+    if (candidate.controlType === 'tel') return 'phone';
+    const hint = [candidate.accName, candidate.nameAttr, candidate.placeholder, ...(candidate.labels || [])].join(' ').toLowerCase();
+    const entry = PROFILE_HINTS.find((h) => autocomplete.split(/\s+/).includes(h.autocomplete)) || PROFILE_HINTS.find((h) => h.re.test(hint));
+    return entry ? entry.field : '';
+  }
+
+  // { value, display, source } for a fillable field, or null
+  function proposeFill(candidate, el) {
+    if (!FILLABLE_TYPES.has(candidate.controlType) || el.disabled || el.readOnly) return null;
+    const field = profileFieldFor(candidate, el);
+    const saved = field && profile[field];
+    if (candidate.controlType === 'select') {
+      const fromGoal = optionForGoal(el);
+      const fromProfile = !fromGoal && saved && Array.from(el.options).find((o) => o.text.trim().toLowerCase() === saved.toLowerCase());
+      const option = fromGoal || fromProfile;
+      if (!option || option.selected) return null;
+      return { value: option.value, display: option.text.trim(), source: fromGoal ? 'your goal' : 'your profile' };
+    }
+    const values = extractGoalValues(currentGoal);
+    const typed = { email: values.email, tel: values.phone, url: values.url }[candidate.controlType];
+    const byField = { email: values.email, phone: values.phone }[field];
+    const fromGoal = typed || byField || values.quoted || values.value;
+    if (fromGoal && fromGoal !== el.value) return { value: fromGoal, display: fromGoal, source: 'your goal' };
+    if (saved && saved !== el.value) return { value: saved, display: saved, source: 'your profile' };
+    return null;
+  }
+
+  // Fill on confirmation; input/change events come from setNativeValue. The value itself is
+  // not logged.
+  function fillChoice(choice, fill) {
+    const el = findByUid(choice.candidate.id);
+    if (!el) return;
+    el.scrollIntoView({ block: 'center', inline: 'nearest' });
+    el.focus();
+    setNativeValue(el, fill.value);
+    const c = choice.candidate;
+    logAction(`Filled “${c.accName || c.placeholder || c.nameAttr || c.tag}” from ${fill.source}`, false);
+    // The change event may have completed the plan
+    if (!currentGoal) return;
+    showChoice(choices.indexOf(choice));
+    setStatus('Filled; check it before submitting');
+  }
+
+  // Clicks buttons/links, focuses text fields (typing stays with the user), picks options.
+  // Returns a past-tense description for the action log.
+  function performAction(el, label) {
+    el.scrollIntoView({ block: 'center', inline: 'nearest' });
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (el.tagName === 'SELECT') {
+      const option = optionForGoal(el);
+      el.focus();
+      if (!option) return `Focused “${label}”`;
+      setNativeValue(el, option.value);
+      return `Selected “${option.text.trim()}” in “${label}”`;
+    }
+    const textField = (el.tagName === 'INPUT' && !['button', 'submit', 'reset', 'checkbox', 'radio', 'image', 'file'].includes(type)) || el.tagName === 'TEXTAREA';
+    if (textField || el.isContentEditable) {
+      el.focus();
+      return `Focused “${label}”`;
+    }
+    el.click();
+    return `Clicked “${label}”`;
+  }
+
+  function isOwnNode(node) {
+    return !!uiHost && (node === uiHost || node.getRootNode() === uiRoot);
+  }
+
+  // Resolves once the page's DOM (not our own UI) has been quiet for SETTLE_QUIET_MS,
+  // or after SETTLE_MAX_MS at the latest
+  function waitForSettle() {
+    return new Promise((resolve) => {
+      let quietTimer = null;
+      let maxTimer = null;
+      const mo = new MutationObserver((records) => {
+        if (!records.some((r) => !isOwnNode(r.target))) return;
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(done, SETTLE_QUIET_MS);
+      });
+      function done() {
+        mo.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(maxTimer);
+        resolve();
+      }
+      mo.observe(document.documentElement, { subtree: true, childList: true, attributes: true, characterData: true });
+      quietTimer = setTimeout(done, SETTLE_QUIET_MS);
+      maxTimer = setTimeout(done, SETTLE_MAX_MS);
+    });
+  }
+
+  // Heading of the dialog a control sits in ("Delete your account?"), or ''
+  function dialogHeading(el) {
+    const dialog = el.closest('dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]');
+    if (!dialog) return '';
+    if (dialog.hasAttribute('aria-label') || dialog.hasAttribute('aria-labelledby')) return getAccessibleName(dialog);
+    const heading = dialog.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+    return heading ? (heading.textContent || '').replace(/\s+/g, ' ').trim() : '';
+  }
+
+  // A generic "Confirm", "Yes" or "OK" is only as harmless as what it confirms: the goal, the
+  // plan step, the section or dialog around it count as much as the control's own label
+  function isDestructiveChoice(el, c, label) {
+    const step = plan && !plan.done && plan.goal === currentGoal ? plan.steps[plan.current] : '';
+    const context = [`${label} ${c.href || ''}`, currentGoal, step, c.ancestorTextSample, dialogHeading(el)];
+    return context.some((text) => text && DESTRUCTIVE_RE.test(text));
+  }
+
+  // "Do it": the tooltip click is the confirmation; destructive-sounding actions ask again
+  function doChoice(choice, confirmedTwice = false) {
+    const el = findByUid(choice.candidate.id);
+    if (!el) {
+      setStatus('That control is gone; looking again…');
+      reRankSoon('autopilot');
+      return;
+    }
+    const c = choice.candidate;
+    const label = c.accName || c.text || c.ariaLabel || c.tag;
+    if (!confirmedTwice && isDestructiveChoice(el, c, label)) {
+      showOverlayFor(c, `“${label}” may not be undoable. Really do it?`, undefined, {
+        actions: [
+          { label: 'Yes, do it', title: 'Perform this action', onClick: () => doChoice(choice, true) },
+          { label: 'Cancel', title: 'Keep the suggestion without acting', onClick: () => showChoice(choices.indexOf(choice)) },
+        ],
+      });
+      setStatus('Waiting for your confirmation');
+      return;
+    }
+    logAction(performAction(el, label), confirmedTwice);
+    setStatus('Waiting for the page to settle…');
+    waitForSettle().then(() => {
+      if (currentGoal) reRankSoon('autopilot');
+    });
+  }
+
+  function confirmChoice() {
+    const choice = choices[choiceIndex];
+    if (!choice) return;
+    if (!choice.feedback) sendFeedback('up', choice);
+    setStatus('Thanks, noted for next time');
+  }
+
+  function rejectChoice() {
+    const choice = choices[choiceIndex];
+    if (!choice || !currentGoal) return;
+    if (!choice.feedback) sendFeedback('down', choice);
+    excludedIds.add(choice.candidate.id);
+    choices = [];
+    hideOverlay();
+    setStatus('Finding another match…');
+    runFlow(currentGoal, 'reject');
+  }
+
+  function elementDescriptor(el) {
+    return {
+      label: getAccessibleName(el) || getTextShort(el),
+      role: inferRole(el),
+      tag: el.tagName.toLowerCase(),
+      href: (el.getAttribute && el.getAttribute('href')) || '',
+    };
+  }
+
+  // Thumbs up/down and click signals on the shown pick, stored per origin + goal by the
+  // server (POST /feedback) and used on later /rank calls. One signal per shown choice.
+  function sendFeedback(verdict, choice, clickedEl = null) {
+    choice.feedback = verdict;
+    if (isOffline() || !currentGoal) return;
+    const c = choice.candidate;
+    const body = {
+      origin: location.origin,
+      goal: goalForServer(currentGoal),
+      verdict,
+      element: { label: c.accName || c.text || c.ariaLabel, role: c.role, tag: c.tag, href: c.href },
+    };
+    if (clickedEl) body.clicked = elementDescriptor(clickedEl);
+    // keepalive: clicks often navigate away before the request completes
+    fetch(`${serverUrl()}/feedback`, { method: 'POST', headers: serverHeaders(), body: JSON.stringify(body), keepalive: true })
+      .then(checkServerResponse)
+      .catch(noteServerFailure);
+  }
+
+  function showNoMatch() {
+    choices = [];
+    const msg = { bounds: { x: 10, y: 10, w: 0, h: 0 } };
+    showOverlayFor(msg, 'No good match yet; try rephrasing or navigate closer', 0);
+    setStatus('No good match');
   }
 
   async function runFlow(goal, trigger) {
+    // Every run also refreshes the saved goal's age, so working on one page for a long time
+    // doesn't let it expire (BB_TAB_SESSION_TTL_MS) before the next navigation
+    if (!session || session.goal !== goal) startSession(goal);
+    else persistSession(goal);
+    const candidates = collectCandidates().filter((c) => !excludedIds.has(c.id));
+    // Page changes that left the set of controls as it was don't need a new ranking
+    const signature = candidates.map((c) => c.id).join('|');
+    if (trigger === 'mutation' && signature === session.signature) return;
+    session.signature = signature;
+    const signal = beginRun();
+    const sessionSignal = session.controller.signal;
     ensureStatusPanel();
     setStatusTitle(goal || '');
     setStatus('Scanning…');
-    const candidates = collectCandidates();
     if (candidates.length === 0) {
+      choices = [];
       hideOverlay();
-      setStatus('No actionable elements found');
+      setStatus(excludedIds.size ? 'No other matches on this page' : 'No actionable elements found');
+      return;
+    }
+
+    const { top, bestLocal, bestLocalConfidence, bestLocalReason, localAlternates, localScores } = preRank(goal, candidates);
+    startExplanation(goal, localScores, bestLocal, bestLocalConfidence, bestLocalReason);
+
+    // Completed this goal here before: replay the remembered path as the plan, no server needed
+    if (!plan || plan.goal !== goal) {
+      const remembered = await bbGetPath(location.origin, goal);
+      if (signal.aborted) return;
+      if (remembered && currentGoal === goal && (!plan || plan.goal !== goal)) {
+        plan = { goal, steps: remembered.steps.map(describeStep), current: 0, done: false, path: remembered.steps };
+        savePlan();
+      }
+    }
+    if (plan && plan.path && !plan.done && showRememberedStep(candidates)) {
+      explainRanking({ mode: 'remembered' });
+      return;
+    }
+
+    // Offline: rank and explain entirely in the page, no server round trips
+    if (isOffline()) {
+      renderPlanProgress();
+      if (!showLocalPick(bestLocal, bestLocalConfidence, bestLocalReason, 'Offline', localAlternates)) showNoMatch();
       return;
     }
     
     // Get site hints for the current origin and goal
     const origin = window.location.origin;
-    let siteHints = getCachedSiteHints(origin, goal);
+    let siteHints = settings.siteHints ? getCachedSiteHints(origin, goal) : null;
+    if (siteHints) explainRanking({ siteHints: siteHints.map((h) => h.label || h.url).filter(Boolean) });
     
     // If no cached hints and this is a new goal, fetch them asynchronously
-    if (!siteHints && trigger === 'user') {
+    if (settings.siteHints && !siteHints && trigger === 'user') {
       // Fetch site hints in parallel with ranking (non-blocking)
-      fetchSiteHints(origin, goal).then(hints => {
-        if (hints && hints.length > 0) {
+      fetchSiteHints(origin, goal, sessionSignal).then(hints => {
+        if (hints && hints.length > 0 && !sessionSignal.aborted) {
           cacheSiteHints(origin, goal, hints);
           // Re-run ranking with fresh hints if we're still on the same goal
           if (currentGoal === goal) {
@@ -600,12 +2656,21 @@
         console.warn('Site hints fetch failed:', e);
       });
     }
-    
-    const { top, bestLocal, bestLocalScore } = preRank(goal, candidates);
-    // If very strong local score, show immediately with provisional confidence
+
+    // New goal: plan in parallel with the first ranking (step 0 is the best control on this page anyway)
+    let planPromise = null;
+    if ((!plan || plan.goal !== goal) && planPendingFor !== goal) {
+      plan = null;
+      savePlan();
+      planPendingFor = goal;
+      planPromise = fetchPlan(goal, top, siteHints, sessionSignal);
+    }
+    renderPlanProgress();
+
+    // If very strong local match, show immediately with provisional confidence
     let provisional = null;
-    if (bestLocal && bestLocalScore >= 4) {
-      provisional = { elementId: bestLocal.id, reason: 'Local match', confidence: Math.min(95, 60 + Math.round(bestLocalScore * 6)), source: 'local' };
+    if (bestLocal && bestLocalConfidence >= LOCAL_PROVISIONAL_MIN_CONFIDENCE) {
+      provisional = { elementId: bestLocal.id, reason: bestLocalReason, confidence: bestLocalConfidence, source: 'local' };
       // Debug before drawing overlay
       bbDebugChosen(provisional);
       const sourceLabel = provisional.source === 'local' ? 'Local match' : (provisional.source === 'llm' ? 'LLM rank' : 'Match');
@@ -615,37 +2680,411 @@
     }
     // Ask server for final ranking with site hints
     setStatus('Thinking…');
-    const ranked = await rankWithServer(goal, top, siteHints);
+    const ranked = await rankWithServer(goal, top, siteHints, planContext(), (early) => {
+      // The model has named its pick; show it while the reason and alternates arrive
+      const pick = candidates.find((c) => c.id === early.elementId);
+      if (!pick || signal.aborted) return;
+      showOverlayFor(pick, 'LLM rank • refining…');
+      setStatus('Refining…');
+    }, signal);
+    // The plan belongs to the session, not this run: keep it even if a newer run took over
+    if (planPromise) {
+      const steps = await planPromise;
+      if (sessionSignal.aborted) return;
+      planPendingFor = '';
+      if (currentGoal !== goal) return;
+      plan = { goal, steps: steps && steps.length ? steps : [goal], current: 0, done: false };
+      savePlan();
+      renderPlanProgress();
+    }
+    if (signal.aborted) return;
     if (!ranked) {
-      if (!provisional) {
-        const msg = { bounds: { x: 10, y: 10, w: 0, h: 0 } };
-        showOverlayFor(msg, 'No good match yet; try rephrasing or navigate closer', 0);
-        setStatus('No good match');
-      }
+      explainRanking({ serverError: serverError ? describeServerError(serverError) : 'No answer from the server' });
+      // Server failed or is unreachable: the local engine's pick is the answer
+      const label = isOffline() ? 'Offline' : 'Local match';
+      if (!showLocalPick(bestLocal, bestLocalConfidence, bestLocalReason, label, localAlternates) && !provisional) showNoMatch();
+      if (serverError) setStatus(describeServerError(serverError));
       return;
     }
 
+    explainRanking({
+      server: {
+        elementId: ranked.elementId,
+        reason: ranked.reason || '',
+        confidence: ranked.confidence,
+        alternates: ranked.alternates || [],
+        stepIndex: ranked.stepIndex,
+        cacheHit: !!ranked.cache_hit,
+        llmMs: ranked.llm_ms,
+        repaired: !!ranked.repaired,
+      },
+    });
     const chosen = candidates.find((c) => c.id === ranked.elementId) || bestLocal;
     if (!chosen) {
       hideOverlay();
       return;
     }
-    lastResult = { ...ranked, source: 'llm' };
-    // Debug before drawing overlay
-    bbDebugChosen(lastResult);
-    const sourceLabel = lastResult.source === 'local' ? 'Local match' : (lastResult.source === 'llm' ? 'LLM rank' : 'Match');
-    const tip = `${sourceLabel} • ${Math.round(lastResult.confidence || 0)}% — ${lastResult.reason || ''}`;
-    showOverlayFor(chosen, tip);
-    setStatus(`${Math.round(lastResult.confidence || 0)}% certain`);
-    attachCompletionDetectors(document.querySelector(`[${BB_UID_ATTR}="${chosen.id}"]`) || document.body);
+    // The server may report that the pick belongs to a later step (user got ahead of the plan)
+    if (plan && !plan.done && typeof ranked.stepIndex === 'number' && ranked.stepIndex > plan.current && ranked.stepIndex < plan.steps.length) {
+      plan.current = ranked.stepIndex;
+      savePlan();
+      renderPlanProgress();
+    }
+    const alternates = (ranked.alternates || [])
+      .map((id) => candidates.find((c) => c.id === id))
+      .filter((c) => c && c !== chosen);
+    setChoices([
+      {
+        candidate: chosen,
+        label: `LLM rank • ${Math.round(ranked.confidence || 0)}% — ${ranked.reason || ''}`,
+        status: confidenceStatus(ranked.confidence),
+        low: isLowConfidence(ranked.confidence),
+        result: { ...ranked, source: 'llm' },
+      },
+      ...alternateChoices(alternates, 'LLM rank', 'llm'),
+    ]);
+  }
+
+  // Starts a new goal on this page (popup "Find" and the command palette)
+  function startGoal(goal) {
+    currentGoal = (goal || '').trim();
+    if (!currentGoal) return;
+    startSession(currentGoal);
+    plan = null;
+    savePlan();
+    choices = [];
+    excludedIds = new Set();
+    trail = { goal: currentGoal, origin: location.origin, steps: [] };
+    saveTrail();
+    actionLog = [];
+    saveTabState('actionLog', null);
+    renderActionLog();
+    runFlow(currentGoal, 'user');
+  }
+
+  // In-page command palette, opened by the "open-palette" shortcut (background.js): type a
+  // goal, browse favorites and history, or step through the current matches (ARIA combobox
+  // with a listbox; the active option follows aria-activedescendant, focus stays in the input)
+  const PALETTE_MAX_ITEMS = 8;
+  let palette = null; // { root, input, list, help, items, active, returnFocus, choiceIndex }
+  const PALETTE_HELP = '↑↓ browse · Enter run · Esc close';
+
+  async function paletteItems(query) {
+    const q = query.trim().toLowerCase();
+    const matches = (text) => !q || text.toLowerCase().includes(q);
+    const items = [];
+    choices.forEach((choice, i) => {
+      const name = choice.candidate.accName || choice.candidate.text || choice.candidate.id;
+      if (matches(name)) items.push({ group: 'Match', text: `${i + 1}. ${name}`, preview: () => showChoice(i), run: () => showChoice(i) });
+    });
+    const { history, favorites } = await bbLoadGoals(location.origin);
+    const seen = [];
+    const addGoal = (group, goal) => {
+      if (!matches(goal) || seen.some((g) => bbSameGoal(g, goal))) return;
+      seen.push(goal);
+      items.push({ group, text: goal, run: () => runPaletteGoal(goal) });
+    };
+    favorites.forEach((goal) => addGoal('Favorite', goal));
+    history.forEach((h) => addGoal('Recent', h.goal));
+    // Section names from site hints only once something was typed, as completions
+    if (q) cachedSiteHintLabels(location.origin).forEach((label) => addGoal('Site', label));
+    return items.slice(0, PALETTE_MAX_ITEMS);
+  }
+
+  function runPaletteGoal(goal) {
+    bbRecordGoal(location.origin, goal).catch(() => {});
+    startGoal(goal);
+  }
+
+  function setPaletteActive(index) {
+    if (!palette) return;
+    palette.active = index;
+    palette.items.forEach((item, i) => {
+      const selected = i === index;
+      item.el.setAttribute('aria-selected', selected ? 'true' : 'false');
+      item.el.style.background = selected ? 'var(--bb-selected)' : 'transparent';
+      if (selected) item.el.scrollIntoView({ block: 'nearest' });
+    });
+    const item = palette.items[index];
+    if (item) {
+      palette.input.setAttribute('aria-activedescendant', item.el.id);
+      if (item.preview) item.preview();
+    } else {
+      palette.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  async function renderPaletteItems() {
+    if (!palette) return;
+    const query = palette.input.value;
+    palette.query = query;
+    const items = await paletteItems(query);
+    // A newer keystroke or a close happened while history was loading
+    if (!palette || palette.query !== query) return;
+    palette.list.textContent = '';
+    palette.items = items.map((item, i) => {
+      const li = document.createElement('li');
+      li.id = `__bb_palette_option_${i}`;
+      li.setAttribute('role', 'option');
+      li.style.display = 'flex';
+      li.style.gap = '8px';
+      li.style.padding = '4px 8px';
+      li.style.borderRadius = '6px';
+      li.style.cursor = 'pointer';
+      const group = document.createElement('span');
+      group.textContent = item.group;
+      group.style.flex = '0 0 64px';
+      group.style.color = 'var(--bb-text-subtle)';
+      group.style.fontSize = '12px';
+      const text = document.createElement('span');
+      text.textContent = item.text;
+      text.style.overflow = 'hidden';
+      text.style.textOverflow = 'ellipsis';
+      text.style.whiteSpace = 'nowrap';
+      li.append(group, text);
+      // Keep focus in the input so the palette stays keyboard-driven
+      li.addEventListener('mousedown', (e) => e.preventDefault());
+      li.addEventListener('click', () => runPaletteItem(i));
+      palette.list.appendChild(li);
+      return { ...item, el: li };
+    });
+    palette.list.style.display = items.length ? '' : 'none';
+    palette.input.setAttribute('aria-expanded', items.length ? 'true' : 'false');
+    setPaletteActive(-1);
+  }
+
+  function runPaletteItem(index) {
+    if (!palette) return;
+    const item = palette.items[index];
+    const goal = palette.input.value.trim();
+    closePalette(false);
+    if (item) item.run();
+    else if (goal) runPaletteGoal(goal);
+  }
+
+  function onPaletteKeydown(e) {
+    // Our keys are ours: don't let page shortcuts react to typing in the palette
+    e.stopPropagation();
+    if (!palette) return;
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closePalette(true);
+      return;
+    }
+    // Arrows and Enter belong to the input
+    if (e.target !== palette.input) return;
+    const count = palette.items.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!count) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const from = palette.active < 0 && step < 0 ? count : palette.active;
+      setPaletteActive((from + step + count) % count);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runPaletteItem(palette.active);
+    }
+  }
+
+  function openPalette() {
+    if (palette) {
+      palette.input.focus();
+      return;
+    }
+    const root = document.createElement('div');
+    root.id = '__bb_palette';
+    root.setAttribute('role', 'dialog');
+    root.setAttribute('aria-label', 'Button Buddy command palette');
+    root.style.position = 'fixed';
+    // Next to the status panel when it is showing: above it in the lower half of the screen, below it otherwise
+    const panel = statusPanel && statusPanel.isConnected ? statusPanel.getBoundingClientRect() : null;
+    root.style.left = `${Math.max(8, Math.min(panel ? panel.left : 16, window.innerWidth - 368))}px`;
+    if (panel && panel.top < window.innerHeight / 2) root.style.top = `${panel.bottom + 8}px`;
+    else root.style.bottom = `${Math.max(16, window.innerHeight - (panel ? panel.top : window.innerHeight - 8) + 8)}px`;
+    root.style.width = '360px';
+    root.style.maxWidth = 'calc(100vw - 32px)';
+    root.style.background = 'var(--bb-surface)';
+    root.style.border = 'var(--bb-surface-border)';
+    root.style.color = 'var(--bb-text)';
+    root.style.padding = '10px';
+    root.style.borderRadius = '10px';
+    root.style.font = '14px/20px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+    root.style.boxShadow = 'var(--bb-shadow)';
+    root.style.textAlign = 'left';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.placeholder = currentGoal ? `Current: ${currentGoal}` : 'What do you want to do?';
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-label', 'Goal');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', '__bb_palette_list');
+    input.setAttribute('aria-expanded', 'false');
+    input.style.boxSizing = 'border-box';
+    input.style.flex = '1';
+    input.style.minWidth = '0';
+    input.style.padding = '6px 8px';
+    input.style.border = '1px solid var(--bb-control-border)';
+    input.style.borderRadius = '6px';
+    input.style.background = 'var(--bb-control)';
+    input.style.color = 'var(--bb-text)';
+    input.style.font = 'inherit';
+    input.style.outline = 'none';
+    input.addEventListener('focus', () => (input.style.borderColor = 'var(--bb-accent)'));
+    input.addEventListener('blur', () => (input.style.borderColor = 'var(--bb-control-border)'));
+
+    const inputRow = document.createElement('div');
+    inputRow.style.display = 'flex';
+    inputRow.style.gap = '6px';
+    inputRow.appendChild(input);
+
+    const list = document.createElement('ul');
+    list.id = '__bb_palette_list';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', 'Suggestions');
+    list.style.listStyle = 'none';
+    list.style.margin = '8px 0 0';
+    list.style.padding = '0';
+    list.style.maxHeight = '240px';
+    list.style.overflowY = 'auto';
+    list.style.display = 'none';
+
+    const help = document.createElement('div');
+    help.textContent = PALETTE_HELP;
+    help.style.marginTop = '6px';
+    help.style.font = '12px/16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+    help.style.color = 'var(--bb-text-subtle)';
+
+    root.append(inputRow, list, help);
+    root.addEventListener('keydown', onPaletteKeydown);
+    root.addEventListener('keyup', (e) => e.stopPropagation());
+    root.addEventListener('keypress', (e) => e.stopPropagation());
+    // Tabbing or clicking away closes it, like a menu
+    root.addEventListener('focusout', (e) => {
+      if (palette && !root.contains(e.relatedTarget)) closePalette(false);
+    });
+    input.addEventListener('input', renderPaletteItems);
+
+    palette = { root, input, list, help, items: [], active: -1, returnFocus: document.activeElement, choiceIndex, query: '' };
+    ui().appendChild(root);
+    input.focus();
+    renderPaletteItems();
+  }
+
+  // cancelled: Escape, so put back the match that was showing before browsing
+  function closePalette(cancelled) {
+    if (!palette) return;
+    const { root, returnFocus, choiceIndex: openedAt } = palette;
+    palette = null;
+    root.remove();
+    if (cancelled && choices[openedAt] && openedAt !== choiceIndex) showChoice(openedAt);
+    if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+      try {
+        returnFocus.focus({ preventScroll: true });
+      } catch (_) {}
+    }
   }
 
-  chrome.runtime.onMessage.addListener((msg, _sender, _sendResponse) => {
+  chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+    if (msg && msg.type === 'BB_GET_STATE') {
+      loadLastStatus().then((last) => {
+        sendResponse({
+          goal: currentGoal,
+          last,
+          step: plan && !plan.done ? { current: plan.current, total: plan.steps.length, title: plan.steps[plan.current] } : null,
+          hintLabels: cachedSiteHintLabels(location.origin),
+        });
+      });
+      return true;
+    }
     if (msg && msg.type === 'BB_FIND') {
-      currentGoal = (msg.goal || '').trim();
-      if (!currentGoal) return;
-      runFlow(currentGoal, 'user');
+      closePalette(false);
+      startGoal(msg.goal);
+      return;
+    }
+    if (msg && msg.type === 'BB_STOP') stopGoal();
+    if (msg && msg.type === 'BB_OPEN_PALETTE') openPalette();
+    if (msg && msg.type === 'BB_GET_EXPLANATION') {
+      sendResponse({ explanation });
+      return;
+    }
+    if (msg && msg.type === 'BB_HIGHLIGHT') highlightCandidate(msg.id);
+  });
+
+  // Clicks on page controls while a goal is active: recorded for the remembered path, and
+  // implicit feedback on whether the user took the highlighted element or a different one
+  document.addEventListener('click', (e) => {
+    const path = e.composedPath();
+    // Our own UI is behind the closed shadow root: the path ends at its host
+    if (!currentGoal || (uiHost && path.includes(uiHost))) return;
+    const clicked = path.find((n) => n.nodeType === 1 && n.matches(CANDIDATE_SELECTOR));
+    if (clicked) recordStep(clicked);
+
+    const choice = choices[choiceIndex];
+    if (!overlay || !choice) return;
+    const target = findByUid(choice.candidate.id);
+    const tookPick = !!target && path.includes(target);
+    // Without a plan (offline) there is no completion step; remember the trail so far
+    if (tookPick && !plan) rememberTrail();
+    if (choice.feedback) return;
+    if (tookPick) sendFeedback('clicked', choice);
+    else if (clicked) sendFeedback('other', choice, clicked);
+  }, true);
+
+  // Alt+N / Alt+Shift+N: next / previous match, Alt+X: not this one
+  document.addEventListener('keydown', (e) => {
+    if (!overlay || choices.length === 0 || !e.altKey || e.ctrlKey || e.metaKey) return;
+    if (e.code === 'KeyN') cycleChoice(e.shiftKey ? -1 : 1);
+    else if (e.code === 'KeyX' && !e.shiftKey) rejectChoice();
+    else return;
+    e.preventDefault();
+    e.stopPropagation();
+  }, true);
+
+  bbOnProfileChanged((next) => {
+    profile = next;
+  });
+  bbLoadProfile().then((loaded) => {
+    profile = loaded;
+  });
+
+  bbOnSettingsChanged((changed) => {
+    settings = { ...settings, ...changed };
+    if ('serverUrl' in changed || 'authToken' in changed) serverDownUntil = 0;
+    if ('theme' in changed) applyTheme();
+  });
+
+  bbLoadSettings().then(async (loaded) => {
+    settings = loaded;
+    applyTheme();
+    // Resume the tab's goal after a navigation within the same origin, with its plan if one was made
+    try {
+      sessionStorage.removeItem(LEGACY_LAST_STATUS_KEY);
+      sessionStorage.removeItem(LEGACY_PLAN_KEY);
+      sessionStorage.removeItem(LEGACY_TRAIL_KEY);
+      sessionStorage.removeItem(LEGACY_ACTION_LOG_KEY);
+    } catch (_) {}
+    const savedLog = await loadActionLog();
+    // A goal started while we were asking has a fresh log of its own
+    if (!currentGoal) {
+      actionLog = savedLog;
+      renderActionLog();
     }
+    // Only the service worker's record starts a goal; a saved plan just comes along with it
+    const saved = await loadTabSession();
+    if (!saved) return;
+    const goal = saved.goal;
+    const savedPlan = await loadPlan();
+    const planValid = savedPlan && !savedPlan.done && savedPlan.goal && Array.isArray(savedPlan.steps);
+    const savedTrail = await loadTrail();
+    // The popup or palette may have started a goal while we were asking
+    if (!goal || currentGoal) return;
+    if (planValid && savedPlan.goal === goal) plan = savedPlan;
+    if (savedTrail && savedTrail.goal === goal && Array.isArray(savedTrail.steps)) trail = savedTrail;
+    currentGoal = goal;
+    runFlow(currentGoal, 'resume');
   });
 })();
 
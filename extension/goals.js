@@ -0,0 +1,43 @@
+/* Goal history and pinned favorites per site, shared by the popup and the in-page palette.
+   Stored in chrome.storage.local as
+   { [origin]: { history: [{ goal, count, at }], favorites: [goal] } }. */
+const BB_GOALS_KEY = 'bbGoals';
+const BB_MAX_HISTORY = 20;
+
+function bbSameGoal(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function bbLoadAllGoals() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [BB_GOALS_KEY]: {} }, (stored) => resolve(stored[BB_GOALS_KEY] || {}));
+  });
+}
+
+async function bbLoadGoals(origin) {
+  const site = (origin && (await bbLoadAllGoals())[origin]) || {};
+  return { history: site.history || [], favorites: site.favorites || [] };
+}
+
+async function bbUpdateGoals(origin, update) {
+  const all = await bbLoadAllGoals();
+  all[origin] = update({ history: [], favorites: [], ...all[origin] });
+  await new Promise((resolve) => chrome.storage.local.set({ [BB_GOALS_KEY]: all }, () => resolve()));
+}
+
+async function bbRecordGoal(origin, goal) {
+  if (!origin || !goal) return;
+  await bbUpdateGoals(origin, (site) => {
+    const previous = site.history.find((h) => bbSameGoal(h.goal, goal));
+    const rest = site.history.filter((h) => !bbSameGoal(h.goal, goal));
+    return { ...site, history: [{ goal, count: ((previous && previous.count) || 0) + 1, at: Date.now() }, ...rest].slice(0, BB_MAX_HISTORY) };
+  });
+}
+
+async function bbToggleFavorite(origin, goal) {
+  if (!origin || !goal) return;
+  await bbUpdateGoals(origin, (site) => {
+    const pinned = site.favorites.some((f) => bbSameGoal(f, goal));
+    return { ...site, favorites: pinned ? site.favorites.filter((f) => !bbSameGoal(f, goal)) : [...site.favorites, goal] };
+  });
+}
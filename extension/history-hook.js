@@ -0,0 +1,16 @@
+/* Runs in the page's own JavaScript world (manifest "world": "MAIN"), where single-page apps
+   call history.pushState/replaceState. Content scripts can't see those calls from their
+   isolated world, so each one is reported as a "bb:locationchange" event on window. */
+(() => {
+  const hooked = Symbol.for('buttonBuddy.historyHook');
+  if (history[hooked]) return;
+  history[hooked] = true;
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event('bb:locationchange'));
+      return result;
+    };
+  }
+})();
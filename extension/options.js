@@ -0,0 +1,81 @@
+const form = document.getElementById('form');
+const statusEl = document.getElementById('status');
+const testBtn = document.getElementById('test');
+const testResult = document.getElementById('testResult');
+
+const TEXT_FIELDS = ['serverUrl', 'authToken'];
+const CHECK_FIELDS = ['siteHints', 'localOnly', 'shareFieldValues', 'serverTranscription', 'autopilot', 'developerMode'];
+const SELECT_FIELDS = ['theme'];
+
+function fill(settings) {
+  for (const key of TEXT_FIELDS) document.getElementById(key).value = settings[key] || '';
+  for (const key of CHECK_FIELDS) document.getElementById(key).checked = !!settings[key];
+  for (const key of SELECT_FIELDS) document.getElementById(key).value = settings[key];
+  document.getElementById('confidenceThreshold').value = settings.confidenceThreshold;
+}
+
+function readForm() {
+  const out = {};
+  for (const key of TEXT_FIELDS) out[key] = document.getElementById(key).value.trim();
+  for (const key of CHECK_FIELDS) out[key] = document.getElementById(key).checked;
+  for (const key of SELECT_FIELDS) out[key] = document.getElementById(key).value;
+  const threshold = parseInt(document.getElementById('confidenceThreshold').value, 10);
+  out.confidenceThreshold = Number.isFinite(threshold) ? Math.max(0, Math.min(100, threshold)) : BB_DEFAULT_SETTINGS.confidenceThreshold;
+  out.serverUrl = (out.serverUrl || BB_DEFAULT_SETTINGS.serverUrl).replace(/\/+$/, '');
+  return out;
+}
+
+function fillProfile(profile) {
+  for (const key of BB_PROFILE_FIELDS) document.getElementById(`profile-${key}`).value = profile[key] || '';
+}
+
+function readProfile() {
+  const out = {};
+  for (const key of BB_PROFILE_FIELDS) {
+    const value = document.getElementById(`profile-${key}`).value.trim();
+    if (value) out[key] = value;
+  }
+  return out;
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const next = readForm();
+  if (!/^https?:\/\//.test(next.serverUrl)) {
+    statusEl.textContent = 'Server URL must start with http:// or https://';
+    return;
+  }
+  await bbSaveSettings(next);
+  await bbSaveProfile(readProfile());
+  statusEl.textContent = 'Saved';
+  setTimeout(() => { statusEl.textContent = ''; }, 1500);
+});
+
+testBtn.addEventListener('click', async () => {
+  const { serverUrl, authToken } = readForm();
+  testResult.textContent = 'Checking…';
+  try {
+    const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+    const resp = await fetch(`${serverUrl}/`, { headers });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const data = await resp.json();
+    testResult.textContent = data.llm ? `OK · ${data.llm.provider} (${data.llm.model})` : 'OK';
+  } catch (err) {
+    testResult.textContent = `Failed: ${err.message}`;
+  }
+});
+
+// Grants the extension's pages (the popup included) microphone access for voice goals
+document.getElementById('allowMic').addEventListener('click', async () => {
+  const micResult = document.getElementById('micResult');
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    stream.getTracks().forEach((t) => t.stop());
+    micResult.textContent = 'Allowed';
+  } catch (err) {
+    micResult.textContent = `Not allowed: ${err.message}`;
+  }
+});
+
+bbLoadSettings().then(fill);
+bbLoadProfile().then(fillProfile);
@@ -0,0 +1,70 @@
+/* Remembered paths: the controls the user actually clicked to complete a goal on a site,
+   replayed next time without asking the server. Shared by the content script and popup.
+   Stored in chrome.storage.local (per device) as
+   { [origin]: { [normalized goal]: { goal, steps: [descriptor], uses, updatedAt } } }.
+   A step descriptor identifies a control by { accName, role, tag, domPath, href, text, page },
+   never by the per-page data-bb-uid. Only well-formed descriptors are stored or replayed. */
+const BB_PATHS_KEY = 'bbPaths';
+const BB_MAX_PATH_STEPS = 8;
+const BB_MAX_PATHS_PER_ORIGIN = 50;
+const BB_STEP_FIELDS = ['accName', 'role', 'tag', 'domPath', 'href', 'text', 'page'];
+const BB_MAX_STEP_FIELD_LENGTH = 2000;
+
+function bbIsStepDescriptor(step) {
+  if (!step || typeof step !== 'object') return false;
+  for (const field of BB_STEP_FIELDS) {
+    const value = step[field];
+    if (value != null && (typeof value !== 'string' || value.length > BB_MAX_STEP_FIELD_LENGTH)) return false;
+  }
+  return /^[a-z][a-z0-9-]*$/.test(step.tag || '') && !!(step.accName || step.domPath);
+}
+
+function bbIsPath(steps) {
+  return Array.isArray(steps) && steps.length > 0 && steps.length <= BB_MAX_PATH_STEPS && steps.every(bbIsStepDescriptor);
+}
+
+function bbNormalizeGoal(goal) {
+  return String(goal || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function bbLoadPaths() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [BB_PATHS_KEY]: {} }, (stored) => resolve(stored[BB_PATHS_KEY] || {}));
+  });
+}
+
+function bbStorePaths(paths) {
+  return new Promise((resolve) => chrome.storage.local.set({ [BB_PATHS_KEY]: paths }, () => resolve()));
+}
+
+async function bbGetPath(origin, goal) {
+  const paths = await bbLoadPaths();
+  const saved = paths[origin] && paths[origin][bbNormalizeGoal(goal)];
+  return saved && bbIsPath(saved.steps) ? saved : null;
+}
+
+async function bbSavePath(origin, goal, steps) {
+  if (!bbIsPath(steps)) return;
+  const paths = await bbLoadPaths();
+  const site = paths[origin] || {};
+  const key = bbNormalizeGoal(goal);
+  site[key] = {
+    goal,
+    steps: steps.map((step) => Object.fromEntries(BB_STEP_FIELDS.map((field) => [field, step[field] ?? null]))),
+    uses: ((site[key] && site[key].uses) || 0) + 1,
+    updatedAt: Date.now(),
+  };
+  // Keep the most recently used paths per site
+  const keys = Object.keys(site).sort((a, b) => site[b].updatedAt - site[a].updatedAt);
+  for (const stale of keys.slice(BB_MAX_PATHS_PER_ORIGIN)) delete site[stale];
+  paths[origin] = site;
+  await bbStorePaths(paths);
+}
+
+async function bbDeletePath(origin, goal) {
+  const paths = await bbLoadPaths();
+  if (!paths[origin]) return;
+  delete paths[origin][bbNormalizeGoal(goal)];
+  if (!Object.keys(paths[origin]).length) delete paths[origin];
+  await bbStorePaths(paths);
+}
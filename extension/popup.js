@@ -1,9 +1,217 @@
 const goalInput = document.getElementById('goal');
 const findBtn = document.getElementById('find');
 const msg = document.getElementById('msg');
+const localOnlyBox = document.getElementById('localOnly');
+const serverLabel = document.getElementById('server');
+const pathsSection = document.getElementById('paths');
+const pathList = document.getElementById('pathList');
+const lastEl = document.getElementById('last');
+const lastTextEl = document.getElementById('lastText');
+const stopBtn = document.getElementById('stop');
+const pinBtn = document.getElementById('pin');
+const favoritesEl = document.getElementById('favorites');
+const historySection = document.getElementById('history');
+const historyList = document.getElementById('historyList');
+const suggestionsEl = document.getElementById('suggestions');
+const micBtn = document.getElementById('mic');
 
-async function sendGoalToActiveTab(goal) {
+// Goal history and favorites live in goals.js
+const SHOWN_HISTORY = 5;
+
+function renderServer(settings) {
+  serverLabel.textContent = settings.localOnly ? 'Local-only mode' : `Server: ${settings.serverUrl.replace(/^https?:\/\//, '')}`;
+}
+
+bbLoadSettings().then((settings) => {
+  localOnlyBox.checked = !!settings.localOnly;
+  renderServer(settings);
+  micBtn.hidden = !bbVoiceAvailable(settings);
+});
+
+localOnlyBox.addEventListener('change', async () => {
+  await bbSaveSettings({ localOnly: localOnlyBox.checked });
+  const settings = await bbLoadSettings();
+  renderServer(settings);
+  micBtn.hidden = !bbVoiceAvailable(settings);
+});
+
+document.getElementById('openOptions').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// sidePanel.open() needs the click's user gesture, so the window id is looked up beforehand
+let windowId = null;
+chrome.windows.getCurrent((win) => (windowId = win.id));
+
+document.getElementById('openPanel').addEventListener('click', (e) => {
+  e.preventDefault();
+  if (windowId === null) return;
+  chrome.sidePanel.open({ windowId }).then(() => window.close());
+});
+
+// Mention the in-page palette shortcut (users can rebind it in chrome://extensions/shortcuts)
+chrome.commands.getAll((commands) => {
+  const palette = commands.find((c) => c.name === 'open-palette');
+  if (palette && palette.shortcut) findBtn.title = `Tip: ${palette.shortcut} opens the palette on the page`;
+});
+
+async function activeTab() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab;
+}
+
+function originOf(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.origin : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+const tabPromise = activeTab();
+const originPromise = tabPromise.then((tab) => (tab && originOf(tab.url)) || '');
+let hintLabels = [];
+
+function runGoal(goal) {
+  goalInput.value = goal;
+  findBtn.click();
+}
+
+async function toggleFavorite(origin, goal) {
+  await bbToggleFavorite(origin, goal);
+  renderGoals();
+}
+
+function renderPin(favorites) {
+  const goal = goalInput.value.trim();
+  const pinned = !!goal && favorites.some((f) => bbSameGoal(f, goal));
+  pinBtn.textContent = pinned ? '★' : '☆';
+  pinBtn.title = pinned ? 'Unpin this favorite' : 'Pin as a favorite for this site';
+}
+
+// Favorites as chips, recent goals as a list, and both plus site-hint labels as autocomplete
+async function renderGoals() {
+  const origin = await originPromise;
+  const { history, favorites } = await bbLoadGoals(origin);
+
+  favoritesEl.textContent = '';
+  favoritesEl.hidden = favorites.length === 0;
+  for (const goal of favorites) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.textContent = goal;
+    chip.title = 'Find';
+    chip.addEventListener('click', () => runGoal(goal));
+    favoritesEl.appendChild(chip);
+  }
+
+  const recent = history.filter((h) => !favorites.some((f) => bbSameGoal(f, h.goal))).slice(0, SHOWN_HISTORY);
+  historyList.textContent = '';
+  historySection.hidden = recent.length === 0;
+  for (const entry of recent) {
+    const li = document.createElement('li');
+    const goalBtn = document.createElement('button');
+    goalBtn.className = 'goal';
+    goalBtn.textContent = entry.goal;
+    goalBtn.title = `Used ${entry.count}×`;
+    goalBtn.addEventListener('click', () => runGoal(entry.goal));
+    const star = document.createElement('button');
+    star.className = 'star';
+    star.textContent = '☆';
+    star.title = 'Pin as a favorite';
+    star.addEventListener('click', () => toggleFavorite(origin, entry.goal));
+    li.append(goalBtn, star);
+    historyList.appendChild(li);
+  }
+
+  // Most used first, then site-hint labels the page has seen
+  suggestionsEl.textContent = '';
+  const seen = new Set();
+  const byUse = [...history].sort((a, b) => b.count - a.count || b.at - a.at).map((h) => h.goal);
+  for (const value of [...favorites, ...byUse, ...hintLabels]) {
+    const key = value.trim().toLowerCase();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    const option = document.createElement('option');
+    option.value = value;
+    suggestionsEl.appendChild(option);
+  }
+  renderPin(favorites);
+}
+
+// What the page is doing (or last did): asked from the content script, absent on pages it can't run on
+async function renderPageState() {
+  const tab = await tabPromise;
+  let state = null;
+  try {
+    state = tab && tab.id ? await chrome.tabs.sendMessage(tab.id, { type: 'BB_GET_STATE' }) : null;
+  } catch (_) {}
+  if (!state) return;
+  hintLabels = state.hintLabels || [];
+  const last = state.last;
+  if (state.goal) {
+    const step = state.step && state.step.total > 1 ? ` · step ${state.step.current + 1} of ${state.step.total}` : '';
+    lastTextEl.textContent = `Working on “${state.goal}”${step}${last && last.text ? ` — ${last.text}` : ''}`;
+    lastEl.hidden = false;
+    stopBtn.hidden = false;
+    if (!goalInput.value) goalInput.value = state.goal;
+  } else if (last && last.goal) {
+    lastTextEl.textContent = `Last: “${last.goal}” — ${last.text}`;
+    lastEl.hidden = false;
+  }
+  renderGoals();
+}
+
+stopBtn.addEventListener('click', async () => {
+  const tab = await tabPromise;
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'BB_STOP' });
+  } catch (_) {}
+  window.close();
+});
+
+pinBtn.addEventListener('click', async () => toggleFavorite(await originPromise, goalInput.value.trim()));
+goalInput.addEventListener('input', async () => renderPin((await bbLoadGoals(await originPromise)).favorites));
+
+renderGoals();
+renderPageState();
+
+// Remembered paths for the active tab's site (see paths.js): click to run, × to forget
+async function renderPaths() {
+  const origin = await originPromise;
+  const site = (origin && (await bbLoadPaths())[origin]) || {};
+  const entries = Object.values(site).sort((a, b) => b.updatedAt - a.updatedAt);
+  pathList.textContent = '';
+  pathsSection.hidden = entries.length === 0;
+  for (const entry of entries) {
+    const li = document.createElement('li');
+    const goalBtn = document.createElement('button');
+    goalBtn.className = 'goal';
+    goalBtn.textContent = entry.goal;
+    goalBtn.title = entry.steps.map((s) => s.accName || s.text || s.tag).join(' → ');
+    goalBtn.addEventListener('click', () => runGoal(entry.goal));
+    const steps = document.createElement('span');
+    steps.className = 'steps';
+    steps.textContent = `${entry.steps.length} step${entry.steps.length === 1 ? '' : 's'}`;
+    const del = document.createElement('button');
+    del.className = 'delete';
+    del.textContent = '×';
+    del.title = 'Forget this path';
+    del.addEventListener('click', async () => {
+      await bbDeletePath(origin, entry.goal);
+      renderPaths();
+    });
+    li.append(goalBtn, steps, del);
+    pathList.appendChild(li);
+  }
+}
+
+renderPaths();
+
+async function sendGoalToActiveTab(goal) {
+  const tab = await tabPromise;
   if (!tab || !tab.id) {
     msg.textContent = 'No active tab.';
     return;
@@ -19,6 +227,7 @@ findBtn.addEventListener('click', async () => {
   }
   msg.textContent = 'Finding…';
   try {
+    await bbRecordGoal(await originPromise, goal);
     await sendGoalToActiveTab(goal);
     msg.textContent = '';
     // Close the popup after dispatching the request; status will be shown in-page
@@ -30,4 +239,38 @@ findBtn.addEventListener('click', async () => {
 
 goalInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter') findBtn.click();
+});
+
+// Voice input (voice.js): the transcript lands in the goal field to be edited, Find sends it
+let stopListening = null;
+
+micBtn.addEventListener('click', async () => {
+  if (stopListening) {
+    stopListening();
+    return;
+  }
+  const settings = await bbLoadSettings();
+  let failed = false;
+  micBtn.setAttribute('aria-pressed', 'true');
+  micBtn.title = 'Stop listening';
+  stopListening = bbListen(settings, {
+    onText: (text) => {
+      goalInput.value = text;
+    },
+    onStatus: (text) => {
+      msg.textContent = text;
+    },
+    onError: (message) => {
+      failed = true;
+      msg.textContent = message;
+    },
+    onEnd: async () => {
+      stopListening = null;
+      micBtn.setAttribute('aria-pressed', 'false');
+      micBtn.title = 'Speak the goal';
+      if (!failed) msg.textContent = goalInput.value ? 'Edit the goal if needed, then Find.' : '';
+      goalInput.focus();
+      renderPin((await bbLoadGoals(await originPromise)).favorites);
+    },
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,61 @@
+/* Button Buddy settings, shared by the content script, popup and options page.
+   Stored in chrome.storage.sync so they follow the user's Chrome profile. */
+const BB_DEFAULT_SETTINGS = {
+  serverUrl: 'http://localhost:8787',
+  authToken: '',
+  siteHints: true,
+  localOnly: false,
+  confidenceThreshold: 40,
+  // Offers "Do it" in the tooltip: Button Buddy performs the confirmed step itself
+  autopilot: false,
+  // Values typed into goals ("change my email to a@b.com") are redacted from server requests unless on
+  shareFieldValues: false,
+  // Voice input without browser speech recognition: recordings go to the server's /transcribe
+  serverTranscription: false,
+  // Colors of the highlight, tooltip and panels on pages: auto (follows system dark mode and contrast), light, dark, high-contrast
+  theme: 'auto',
+  // Lets pages/devtools override the server via localStorage '__bb_server_url' or window.__BB_SERVER_URL
+  developerMode: false,
+};
+
+function bbLoadSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(BB_DEFAULT_SETTINGS, (stored) => resolve({ ...BB_DEFAULT_SETTINGS, ...stored }));
+  });
+}
+
+function bbSaveSettings(partial) {
+  return new Promise((resolve) => chrome.storage.sync.set(partial, () => resolve()));
+}
+
+// Profile for form filling. Kept in chrome.storage.local: personal data stays on this device.
+const BB_PROFILE_FIELDS = ['fullName', 'email', 'phone', 'company', 'address', 'city', 'postalCode', 'country'];
+const BB_PROFILE_KEY = 'bbProfile';
+
+function bbLoadProfile() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [BB_PROFILE_KEY]: {} }, (stored) => resolve(stored[BB_PROFILE_KEY] || {}));
+  });
+}
+
+function bbSaveProfile(profile) {
+  return new Promise((resolve) => chrome.storage.local.set({ [BB_PROFILE_KEY]: profile }, () => resolve()));
+}
+
+function bbOnProfileChanged(cb) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[BB_PROFILE_KEY]) cb(changes[BB_PROFILE_KEY].newValue || {});
+  });
+}
+
+// cb receives only the keys that changed, with their new values
+function bbOnSettingsChanged(cb) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync') return;
+    const changed = {};
+    for (const key of Object.keys(changes)) {
+      if (key in BB_DEFAULT_SETTINGS) changed[key] = changes[key].newValue ?? BB_DEFAULT_SETTINGS[key];
+    }
+    if (Object.keys(changed).length) cb(changed);
+  });
+}
@@ -0,0 +1,131 @@
+// Explains the current pick on the active tab: local scores from preRank, the server's
+// answer and the site hints that went into it. Data comes from the content script
+// (BB_GET_EXPLANATION on open / tab switch, BB_EXPLANATION pushed after every ranking).
+const emptyEl = document.getElementById('empty');
+const reportEl = document.getElementById('report');
+const goalEl = document.getElementById('goal');
+const metaEl = document.getElementById('meta');
+const pickEl = document.getElementById('pick');
+const hintsEl = document.getElementById('hints');
+const candidatesEl = document.getElementById('candidates');
+
+const MODE_LABELS = { server: 'Server ranking', offline: 'Offline (local ranking only)', remembered: 'Remembered path' };
+
+let tabId = null;
+
+function percent(value) {
+  return typeof value === 'number' ? `${Math.round(value)}%` : '–';
+}
+
+function addRow(dl, term, value, className) {
+  const dt = document.createElement('dt');
+  dt.textContent = term;
+  const dd = document.createElement('dd');
+  dd.textContent = value;
+  if (className) dd.className = className;
+  dl.append(dt, dd);
+}
+
+function highlight(id) {
+  if (tabId === null) return;
+  chrome.tabs.sendMessage(tabId, { type: 'BB_HIGHLIGHT', id }, () => void chrome.runtime.lastError);
+}
+
+function render(explanation) {
+  emptyEl.hidden = !!explanation;
+  reportEl.hidden = !explanation;
+  if (!explanation) return;
+  const { goal, url, at, mode, candidates = [], local, server, serverError, siteHints = [] } = explanation;
+  const labelOf = (id) => (candidates.find((c) => c.id === id) || {}).label || id;
+
+  goalEl.textContent = goal;
+  metaEl.textContent = `${MODE_LABELS[mode] || mode} · ${new Date(at).toLocaleTimeString()} · ${url}`;
+
+  pickEl.textContent = '';
+  if (server) {
+    addRow(pickEl, 'Server pick', labelOf(server.elementId));
+    addRow(pickEl, 'Reason', server.reason || '–');
+    addRow(pickEl, 'Confidence', percent(server.confidence));
+    addRow(pickEl, 'Alternates', server.alternates.length ? server.alternates.map(labelOf).join(' · ') : 'none');
+    if (typeof server.stepIndex === 'number') addRow(pickEl, 'Plan step', String(server.stepIndex + 1));
+    addRow(pickEl, 'Cache hit', server.cacheHit ? 'yes' : 'no');
+    addRow(pickEl, 'LLM time', typeof server.llmMs === 'number' ? `${server.llmMs} ms` : '–');
+    if (server.repaired) addRow(pickEl, 'Repaired', 'yes (first answer was invalid)');
+  } else if (serverError) {
+    addRow(pickEl, 'Server', serverError, 'error');
+  } else if (mode === 'server') {
+    addRow(pickEl, 'Server', 'waiting for an answer…');
+  }
+  if (local) {
+    addRow(pickEl, 'Local pick', labelOf(local.elementId));
+    addRow(pickEl, 'Local reason', local.reason || '–');
+    addRow(pickEl, 'Local confidence', percent(local.confidence));
+  } else {
+    addRow(pickEl, 'Local pick', 'no keyword match');
+  }
+
+  hintsEl.textContent = '';
+  for (const hint of siteHints.length ? siteHints : ['none']) {
+    const li = document.createElement('li');
+    li.textContent = hint;
+    hintsEl.appendChild(li);
+  }
+
+  candidatesEl.textContent = '';
+  candidates.forEach((c, i) => {
+    const tr = document.createElement('tr');
+    tr.tabIndex = 0;
+    const rank = document.createElement('td');
+    rank.textContent = String(i + 1);
+    const name = document.createElement('td');
+    const label = document.createElement('span');
+    label.className = 'label';
+    label.textContent = c.label;
+    name.appendChild(label);
+    const badges = [];
+    if (server && server.elementId === c.id) badges.push(['pick', 'server pick']);
+    if (server && server.alternates.includes(c.id)) badges.push(['', `alternate ${server.alternates.indexOf(c.id) + 1}`]);
+    if (local && local.elementId === c.id) badges.push(['local', 'local pick']);
+    for (const [kind, text] of badges) {
+      const badge = document.createElement('span');
+      badge.className = `badge ${kind}`;
+      badge.textContent = text;
+      name.appendChild(badge);
+    }
+    const details = document.createElement('div');
+    details.className = 'terms';
+    details.textContent = [c.role || c.tag, c.terms.length ? `matched: ${c.terms.join(', ')}` : 'no keyword match'].filter(Boolean).join(' · ');
+    name.appendChild(details);
+    const score = document.createElement('td');
+    score.className = 'num';
+    score.textContent = String(c.score);
+    tr.append(rank, name, score);
+    tr.addEventListener('mouseenter', () => highlight(c.id));
+    tr.addEventListener('focus', () => highlight(c.id));
+    tr.addEventListener('mouseleave', () => highlight(null));
+    tr.addEventListener('blur', () => highlight(null));
+    candidatesEl.appendChild(tr);
+  });
+}
+
+async function refresh() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  tabId = tab ? tab.id : null;
+  if (tabId === null) return render(null);
+  chrome.tabs.sendMessage(tabId, { type: 'BB_GET_EXPLANATION' }, (resp) => {
+    // No content script on this page (chrome://, the Web Store)
+    if (chrome.runtime.lastError) return render(null);
+    render(resp && resp.explanation);
+  });
+}
+
+chrome.runtime.onMessage.addListener((msg, sender) => {
+  if (msg && msg.type === 'BB_EXPLANATION' && sender.tab && sender.tab.id === tabId) render(msg.explanation);
+});
+chrome.tabs.onActivated.addListener(refresh);
+chrome.tabs.onUpdated.addListener((id, change) => {
+  if (id === tabId && change.status === 'complete') refresh();
+});
+document.addEventListener('mouseleave', () => highlight(null));
+
+refresh();
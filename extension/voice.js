@@ -0,0 +1,118 @@
+/* Voice goals for the popup. Speech becomes text in the goal
+   field, where it can be edited before Find / Enter sends it through BB_FIND like a typed goal.
+   Uses the browser's SpeechRecognition where available; otherwise, with the serverTranscription
+   setting on, records a short clip and sends it to the server's /transcribe endpoint.
+   Only for extension pages: in a content script the host page's origin would be the one
+   asking for (and keeping) microphone access, under the page's Permissions-Policy. */
+const BB_VOICE_MAX_MS = 8000;
+
+const BB_VOICE_ERRORS = {
+  'not-allowed': 'Microphone blocked. For the popup, allow it once under Settings → Voice.',
+  'service-not-allowed': 'Speech recognition is not allowed in this browser.',
+  'no-speech': 'Didn’t hear anything. Try again.',
+  'audio-capture': 'No microphone found.',
+  network: 'Speech recognition needs a network connection.',
+};
+
+function bbSpeechRecognition() {
+  return globalThis.SpeechRecognition || globalThis.webkitSpeechRecognition || null;
+}
+
+function bbCanRecord() {
+  return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia) && typeof MediaRecorder !== 'undefined';
+}
+
+function bbVoiceAvailable(settings) {
+  return !!bbSpeechRecognition() || (!!settings.serverTranscription && !settings.localOnly && bbCanRecord());
+}
+
+// Listens once. handlers: { onText(text, final), onStatus(text), onError(message), onEnd() };
+// onEnd always comes last. Returns stop(), which ends early and keeps what was heard so far.
+// settings.serverUrl must already be resolved (the content script passes its serverUrl()).
+function bbListen(settings, handlers, lang = navigator.language) {
+  if (bbSpeechRecognition()) return bbListenInBrowser(lang, handlers);
+  return bbListenViaServer(settings, lang, handlers);
+}
+
+function bbListenInBrowser(lang, handlers) {
+  const Recognition = bbSpeechRecognition();
+  const recognition = new Recognition();
+  recognition.lang = lang;
+  recognition.interimResults = true;
+  recognition.continuous = false;
+  recognition.maxAlternatives = 1;
+  recognition.onresult = (e) => {
+    let text = '';
+    let final = true;
+    for (const result of e.results) {
+      text += result[0].transcript;
+      if (!result.isFinal) final = false;
+    }
+    handlers.onText(text.trim(), final);
+  };
+  recognition.onerror = (e) => {
+    // "aborted" is our own stop()
+    if (e.error !== 'aborted') handlers.onError(BB_VOICE_ERRORS[e.error] || `Speech recognition failed (${e.error})`);
+  };
+  recognition.onend = () => handlers.onEnd();
+  recognition.start();
+  handlers.onStatus && handlers.onStatus('Listening…');
+  return () => recognition.stop();
+}
+
+function bbListenViaServer(settings, lang, handlers) {
+  let recorder = null;
+  let stopped = false;
+  let timer = null;
+  const chunks = [];
+  const finish = () => {
+    clearTimeout(timer);
+    if (recorder && recorder.state !== 'inactive') recorder.stop();
+  };
+  navigator.mediaDevices
+    .getUserMedia({ audio: true })
+    .then((stream) => {
+      if (stopped) {
+        stream.getTracks().forEach((t) => t.stop());
+        handlers.onEnd();
+        return;
+      }
+      recorder = new MediaRecorder(stream);
+      recorder.ondataavailable = (e) => {
+        if (e.data.size) chunks.push(e.data);
+      };
+      recorder.onstop = async () => {
+        stream.getTracks().forEach((t) => t.stop());
+        handlers.onStatus && handlers.onStatus('Transcribing…');
+        try {
+          const text = await bbTranscribe(settings, new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }), lang);
+          if (text) handlers.onText(text, true);
+          else handlers.onError(BB_VOICE_ERRORS['no-speech']);
+        } catch (err) {
+          handlers.onError(err.message);
+        }
+        handlers.onEnd();
+      };
+      recorder.start();
+      handlers.onStatus && handlers.onStatus('Recording… click again to stop');
+      timer = setTimeout(finish, BB_VOICE_MAX_MS);
+    })
+    .catch((err) => {
+      handlers.onError(err && err.name === 'NotAllowedError' ? BB_VOICE_ERRORS['not-allowed'] : `Microphone unavailable: ${err && err.message}`);
+      handlers.onEnd();
+    });
+  return () => {
+    stopped = true;
+    finish();
+  };
+}
+
+async function bbTranscribe(settings, audio, lang) {
+  const headers = { 'Content-Type': audio.type || 'audio/webm' };
+  if (settings.authToken) headers.Authorization = `Bearer ${settings.authToken}`;
+  const base = (settings.serverUrl || BB_DEFAULT_SETTINGS.serverUrl).replace(/\/+$/, '');
+  const resp = await fetch(`${base}/transcribe?lang=${encodeURIComponent(String(lang || '').slice(0, 2))}`, { method: 'POST', headers, body: audio });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(data.error ? `${data.error}${data.detail ? `: ${data.detail}` : ''}` : `Transcription failed (HTTP ${resp.status})`);
+  return String(data.text || '').trim();
+}
@@ -0,0 +1,176 @@
+// Authentication, CORS allowlist, per-client rate limits and daily LLM token budgets.
+//
+// Config (env):
+//   BB_API_KEYS         comma-separated API keys, optionally labelled: "alice:key1,ci:key2".
+//                       Unset = auth disabled (local development); clients are then keyed by IP.
+//   CORS_ORIGINS        comma-separated allowed origins, '*' wildcards allowed
+//                       (e.g. "chrome-extension://*,https://*.example.com"). Unset = any origin.
+//                       Content-script requests carry the host page's origin, so list the sites you use.
+//   RATE_LIMIT_PER_MIN  requests per client per minute (default 60, 0 = unlimited)
+//   AUTH_FAILURES_PER_MIN  rejected API keys per IP per minute before that IP gets 429s (default 10, 0 = unlimited)
+//   DAILY_TOKEN_BUDGET  LLM tokens (input + output) per client per UTC day (default 200000, 0 = unlimited)
+import crypto from 'node:crypto';
+
+const MINUTE_MS = 60 * 1000;
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(String(s)).digest();
+}
+
+export function parseApiKeys(raw) {
+  const keys = [];
+  for (const entry of String(raw || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(':');
+    const label = sep > 0 ? entry.slice(0, sep) : `key${keys.length + 1}`;
+    const key = sep > 0 ? entry.slice(sep + 1) : entry;
+    if (key) keys.push({ label, digest: sha256(key) });
+  }
+  return keys;
+}
+
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function tokenFromRequest(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return (req.get('x-api-key') || '').trim();
+}
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight(now = Date.now()) {
+  const d = new Date(now);
+  const midnight = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+  return Math.ceil((midnight - now) / 1000);
+}
+
+function intFromEnv(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function createAuth(env = process.env) {
+  const apiKeys = parseApiKeys(env.BB_API_KEYS);
+  const corsPatterns = String(env.CORS_ORIGINS || '').split(',').map((s) => s.trim()).filter(Boolean).map(wildcardToRegExp);
+  const ratePerMin = intFromEnv(env.RATE_LIMIT_PER_MIN, 60);
+  const failuresPerMin = intFromEnv(env.AUTH_FAILURES_PER_MIN, 10);
+  const dailyBudget = intFromEnv(env.DAILY_TOKEN_BUDGET, 200000);
+
+  const windows = new Map(); // clientId -> { start, count }
+  const budgets = new Map(); // clientId -> { day, used }
+  const failures = new Map(); // ip -> { start, count }, rejected keys (rateLimit only sees authenticated clients)
+
+  const corsOptions = {
+    origin(origin, cb) {
+      // Non-browser clients send no Origin; CORS does not apply to them
+      if (!origin || corsPatterns.length === 0) return cb(null, true);
+      cb(null, corsPatterns.some((re) => re.test(origin)));
+    },
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Api-Key'],
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Token-Budget-Remaining'],
+  };
+
+  function authenticate(req, res, next) {
+    if (apiKeys.length === 0) {
+      req.client = { id: `ip:${req.ip}`, label: 'anonymous' };
+      return next();
+    }
+    // Throttle key guessing: too many rejected keys from one IP lock it out for the rest of the minute
+    const now = Date.now();
+    let failed = failures.get(req.ip);
+    if (failed && now - failed.start >= MINUTE_MS) {
+      failures.delete(req.ip);
+      failed = null;
+    }
+    if (failuresPerMin && failed && failed.count >= failuresPerMin) {
+      const retryAfter = Math.ceil((failed.start + MINUTE_MS - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed authentication attempts', retry_after_s: retryAfter });
+    }
+    const token = tokenFromRequest(req);
+    const digest = token ? sha256(token) : null;
+    const match = digest && apiKeys.find((k) => crypto.timingSafeEqual(k.digest, digest));
+    if (!match) {
+      if (!failed) {
+        failed = { start: now, count: 0 };
+        failures.set(req.ip, failed);
+      }
+      failed.count++;
+      if (failures.size > 1000) {
+        for (const [ip, f] of failures) if (now - f.start >= MINUTE_MS) failures.delete(ip);
+      }
+      res.set('WWW-Authenticate', 'Bearer realm="button-buddy"');
+      return res.status(401).json({ error: 'Unauthorized', detail: 'Missing or invalid API key' });
+    }
+    req.client = { id: `key:${match.label}`, label: match.label };
+    next();
+  }
+
+  function rateLimit(req, res, next) {
+    if (!ratePerMin) return next();
+    const now = Date.now();
+    const id = req.client.id;
+    let win = windows.get(id);
+    if (!win || now - win.start >= MINUTE_MS) {
+      win = { start: now, count: 0 };
+      windows.set(id, win);
+    }
+    win.count++;
+    res.set('X-RateLimit-Limit', String(ratePerMin));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, ratePerMin - win.count)));
+    if (win.count > ratePerMin) {
+      const retryAfter = Math.ceil((win.start + MINUTE_MS - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Rate limit exceeded', detail: `Max ${ratePerMin} requests per minute`, retry_after_s: retryAfter });
+    }
+    // Drop stale windows so the map doesn't grow with every client ever seen
+    if (windows.size > 1000) {
+      for (const [k, w] of windows) if (now - w.start >= MINUTE_MS) windows.delete(k);
+    }
+    next();
+  }
+
+  function budgetFor(id) {
+    const today = utcDay();
+    let entry = budgets.get(id);
+    if (!entry || entry.day !== today) {
+      entry = { day: today, used: 0 };
+      budgets.set(id, entry);
+    }
+    return entry;
+  }
+
+  // Guards routes that spend LLM tokens
+  function tokenBudget(req, res, next) {
+    if (!dailyBudget) return next();
+    const entry = budgetFor(req.client.id);
+    res.set('X-Token-Budget-Remaining', String(Math.max(0, dailyBudget - entry.used)));
+    if (entry.used >= dailyBudget) {
+      const retryAfter = secondsUntilUtcMidnight();
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Daily token budget exhausted', detail: `Budget of ${dailyBudget} tokens per day used up`, retry_after_s: retryAfter });
+    }
+    next();
+  }
+
+  function recordUsage(req, usage) {
+    if (!req.client || !usage) return;
+    const entry = budgetFor(req.client.id);
+    entry.used += (usage.input_tokens || 0) + (usage.output_tokens || 0);
+  }
+
+  return {
+    enabled: apiKeys.length > 0,
+    corsOptions,
+    authenticate,
+    rateLimit,
+    tokenBudget,
+    recordUsage,
+  };
+}
@@ -0,0 +1,171 @@
+// Result caches for /rank, /plan and /site-hints.
+//
+// Every backend implements the same async interface, so callers don't care where
+// entries live:
+//   get(key) -> value | null     set(key, value)     delete(key)     clear()     stats()
+// Entries expire after the cache's TTL and the least recently used entry is evicted
+// once maxEntries is reached.
+//
+// Backends: "memory" (default, process-local) and "file" (memory + JSON snapshot per
+// cache in CACHE_DIR, survives restarts; unsaved changes are written on SIGINT/SIGTERM). Others, e.g. Redis, plug in through
+// registerCacheBackend(name, factory) with the same interface.
+//
+// Config (env):
+//   CACHE_BACKEND   memory | file
+//   CACHE_DIR       directory for the file backend (default server/.cache)
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FILE_FLUSH_DELAY_MS = 1000;
+
+function createMemoryBackend({ name, ttlMs, maxEntries }) {
+  const entries = new Map(); // key -> { expiresAt, value }, Map order = LRU order
+  const counters = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+
+  function pruneExpired(now = Date.now()) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+        counters.expirations++;
+      }
+    }
+  }
+
+  const cache = {
+    name,
+    backend: 'memory',
+    entries,
+    onChange: () => {},
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        counters.misses++;
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        counters.expirations++;
+        counters.misses++;
+        cache.onChange();
+        return null;
+      }
+      // refresh LRU order
+      entries.delete(key);
+      entries.set(key, entry);
+      counters.hits++;
+      return entry.value;
+    },
+
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, { expiresAt: Date.now() + ttlMs, value });
+      counters.sets++;
+      pruneExpired();
+      // enforce max entries (delete oldest)
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions++;
+      }
+      cache.onChange();
+    },
+
+    async delete(key) {
+      if (entries.delete(key)) cache.onChange();
+    },
+
+    async clear() {
+      entries.clear();
+      cache.onChange();
+    },
+
+    async stats() {
+      const lookups = counters.hits + counters.misses;
+      return {
+        name,
+        backend: cache.backend,
+        size: entries.size,
+        max_entries: maxEntries,
+        ttl_s: Math.floor(ttlMs / 1000),
+        ...counters,
+        hit_rate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0,
+      };
+    },
+  };
+  return cache;
+}
+
+// Memory backend plus a JSON snapshot on disk: loaded at startup, rewritten (debounced,
+// atomically via rename) after changes. TTLs are absolute timestamps, so they survive restarts.
+// flush() of every file cache with changes not yet on disk
+const unsavedFileCaches = new Set();
+let exitSignalsHooked = false;
+
+function flushOnExitSignal(signal) {
+  for (const flush of unsavedFileCaches) flush();
+  // once() already removed this handler, so the signal now ends the process as usual
+  process.kill(process.pid, signal);
+}
+
+function createFileBackend(options) {
+  const dir = options.dir || process.env.CACHE_DIR || fileURLToPath(new URL('./.cache', import.meta.url));
+  const file = path.join(dir, `${options.name}.json`);
+  const cache = createMemoryBackend(options);
+  cache.backend = 'file';
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const now = Date.now();
+    for (const [key, entry] of saved.entries || []) {
+      if (entry && entry.expiresAt > now) cache.entries.set(key, entry);
+    }
+    while (cache.entries.size > options.maxEntries) cache.entries.delete(cache.entries.keys().next().value);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`[button-buddy] could not load cache ${file}: ${error.message}`);
+  }
+
+  let flushTimer = null;
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    unsavedFileCaches.delete(flush);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ entries: Array.from(cache.entries) }));
+      fs.renameSync(tmp, file);
+    } catch (error) {
+      console.warn(`[button-buddy] could not write cache ${file}: ${error.message}`);
+    }
+  }
+  cache.onChange = () => {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, FILE_FLUSH_DELAY_MS);
+    unsavedFileCaches.add(flush);
+  };
+  if (!exitSignalsHooked) {
+    exitSignalsHooked = true;
+    for (const signal of ['SIGINT', 'SIGTERM']) process.once(signal, flushOnExitSignal);
+  }
+  return cache;
+}
+
+const BACKENDS = {
+  memory: createMemoryBackend,
+  file: createFileBackend,
+};
+
+export function registerCacheBackend(name, factory) {
+  BACKENDS[name] = factory;
+}
+
+// options: { name, ttlMs, maxEntries, backend?, dir? }
+export function createCache(options) {
+  const backend = (options.backend || process.env.CACHE_BACKEND || 'memory').toLowerCase();
+  const factory = BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown CACHE_BACKEND "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return factory(options);
+}
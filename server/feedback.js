@@ -0,0 +1,179 @@
+// User feedback on highlighted controls, kept per origin and goal, so later /rank calls
+// on the same site can show the model what users confirmed or rejected.
+//
+// Signals (from the extension) and their weights:
+//   up / down   thumbs in the tooltip                           +2 / -2
+//   clicked     the user clicked the highlighted element        +1
+//   other       the user clicked a different control instead    highlighted -1, clicked +1
+//
+// Feedback is aggregated per (origin, goal, element descriptor) and persisted as a JSON
+// snapshot, rewritten (debounced, atomically via rename) after changes.
+//
+// Config (env):
+//   FEEDBACK_DIR   directory for feedback.json (default server/.data)
+import fs from 'node:fs';
+import path from 'node:path';
+
+const FLUSH_DELAY_MS = 1000;
+const MAX_ORIGINS = 500;
+const MAX_GOALS_PER_ORIGIN = 200;
+const MAX_ELEMENTS_PER_GOAL = 20;
+const MAX_EXAMPLES = 6;
+const MAX_FIELD_LENGTH = 120;
+const GOAL_SIMILARITY_MIN = 0.5;
+
+const VERDICT_WEIGHTS = { up: 2, down: -2, clicked: 1, other: -1 };
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_FIELD_LENGTH) : '';
+}
+
+export function normalizeGoal(goal) {
+  return cleanText(goal).toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '');
+}
+
+function goalTokens(goal) {
+  return new Set(normalizeGoal(goal).split(/[^\p{L}\p{N}]+/u).filter((t) => t.length > 1));
+}
+
+function goalSimilarity(a, b) {
+  if (a === b) return 1;
+  const ta = goalTokens(a);
+  const tb = goalTokens(b);
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+// { label, role, tag, href } with href reduced to its path (no query strings or tokens)
+function cleanElement(el) {
+  if (!el || typeof el !== 'object') return null;
+  const label = cleanText(el.label);
+  if (!label) return null;
+  let href = '';
+  if (typeof el.href === 'string' && el.href) {
+    try {
+      href = new URL(el.href, 'http://x').pathname.slice(0, MAX_FIELD_LENGTH);
+    } catch (_e) {}
+  }
+  return { label, role: cleanText(el.role).toLowerCase(), tag: cleanText(el.tag).toLowerCase(), href };
+}
+
+function elementKey(el) {
+  return `${el.role}|${el.tag}|${el.label.toLowerCase()}`;
+}
+
+// Validates a POST /feedback body. Returns { value, errors } like the validators in validation.js.
+export function parseFeedback(body) {
+  const errors = [];
+  let origin = '';
+  try {
+    const url = new URL(String(body?.origin || ''));
+    if (url.protocol === 'http:' || url.protocol === 'https:') origin = url.origin;
+  } catch (_e) {}
+  if (!origin) errors.push('"origin" must be an http(s) URL');
+  const goal = normalizeGoal(body?.goal);
+  if (!goal) errors.push('"goal" is missing');
+  const verdict = body?.verdict;
+  if (!(verdict in VERDICT_WEIGHTS)) errors.push(`"verdict" must be one of: ${Object.keys(VERDICT_WEIGHTS).join(', ')}`);
+  const element = cleanElement(body?.element);
+  if (!element) errors.push('"element.label" is missing');
+  const clicked = verdict === 'other' ? cleanElement(body?.clicked) : null;
+  return { value: errors.length ? null : { origin, goal, verdict, element, clicked }, errors };
+}
+
+// Candidate fields that correspond to a feedback descriptor's label
+export function candidateMatchesFeedback(candidate, entry) {
+  const label = entry.label.toLowerCase();
+  const names = [candidate.accName, candidate.text, candidate.ariaLabel].map((s) => cleanText(s).toLowerCase());
+  if (!names.includes(label)) return false;
+  return !entry.tag || !candidate.tag || entry.tag === String(candidate.tag).toLowerCase();
+}
+
+export function createFeedbackStore({ dir } = {}) {
+  const baseDir = dir || process.env.FEEDBACK_DIR || new URL('./.data', import.meta.url).pathname;
+  const file = path.join(baseDir, 'feedback.json');
+  // origin -> { revision, goals: { [goal]: { at, elements: { [key]: { ...descriptor, score, up, down, at } } } } }
+  let origins = {};
+
+  try {
+    origins = JSON.parse(fs.readFileSync(file, 'utf8')).origins || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`[button-buddy] could not load feedback ${file}: ${error.message}`);
+  }
+
+  let flushTimer = null;
+  function flush() {
+    flushTimer = null;
+    try {
+      fs.mkdirSync(baseDir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ origins }));
+      fs.renameSync(tmp, file);
+    } catch (error) {
+      console.warn(`[button-buddy] could not write feedback ${file}: ${error.message}`);
+    }
+  }
+  function scheduleFlush() {
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+
+  // Drop the least recently updated keys once a map outgrows its limit
+  function pruneOldest(map, max) {
+    const keys = Object.keys(map);
+    if (keys.length <= max) return;
+    keys.sort((a, b) => map[a].at - map[b].at);
+    for (const key of keys.slice(0, keys.length - max)) delete map[key];
+  }
+
+  function bump(goalEntry, element, weight, now) {
+    const key = elementKey(element);
+    const entry = goalEntry.elements[key] || { ...element, score: 0, up: 0, down: 0 };
+    entry.score += weight;
+    if (weight > 0) entry.up++;
+    else entry.down++;
+    entry.at = now;
+    goalEntry.elements[key] = entry;
+  }
+
+  return {
+    // feedback: value from parseFeedback(). Resolves to the origin's new revision.
+    async record({ origin, goal, verdict, element, clicked }) {
+      const now = Date.now();
+      const site = origins[origin] || { revision: 0, goals: {}, at: now };
+      const goalEntry = site.goals[goal] || { elements: {}, at: now };
+      bump(goalEntry, element, VERDICT_WEIGHTS[verdict], now);
+      if (clicked) bump(goalEntry, clicked, 1, now);
+      goalEntry.at = now;
+      pruneOldest(goalEntry.elements, MAX_ELEMENTS_PER_GOAL);
+      site.goals[goal] = goalEntry;
+      site.revision++;
+      site.at = now;
+      pruneOldest(site.goals, MAX_GOALS_PER_ORIGIN);
+      origins[origin] = site;
+      pruneOldest(origins, MAX_ORIGINS);
+      scheduleFlush();
+      return site.revision;
+    },
+
+    // Feedback for this goal and similar goals on the origin, strongest signals first.
+    // Resolves to { revision, examples: [{ goal, label, role, tag, href, score, up, down }] }.
+    async lookup(origin, goal) {
+      const site = origins[origin];
+      if (!site) return { revision: 0, examples: [] };
+      const wanted = normalizeGoal(goal);
+      const examples = [];
+      for (const [pastGoal, goalEntry] of Object.entries(site.goals)) {
+        const similarity = goalSimilarity(wanted, pastGoal);
+        if (similarity < GOAL_SIMILARITY_MIN) continue;
+        for (const el of Object.values(goalEntry.elements)) {
+          if (el.score === 0) continue;
+          examples.push({ goal: pastGoal, label: el.label, role: el.role, tag: el.tag, href: el.href, score: el.score, up: el.up, down: el.down, weight: el.score * similarity });
+        }
+      }
+      examples.sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+      return { revision: site.revision, examples: examples.slice(0, MAX_EXAMPLES).map(({ weight, ...ex }) => ex) };
+    },
+  };
+}
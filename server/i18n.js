@@ -0,0 +1,167 @@
+// Language support for goals and pages that are not in English.
+//
+// - detectLanguage(): cheap guess from the script (CJK, Cyrillic...) or language cues, used
+//   when the extension does not say which language a goal is in
+// - concept tables: the same thing named in several languages ("password", "Passwort",
+//   "mot de passe", "パスワード"), so site-hint URL scoring and the timeout fallback work
+//   for localized paths (/konto/sicherheit) and goals ("Passwort ändern")
+//
+// All matching is done on foldText() output (lowercase, no diacritics); the tables are
+// folded the same way when the module loads.
+
+const LANGUAGE_NAMES = {
+  en: 'English', de: 'German', fr: 'French', es: 'Spanish', it: 'Italian', pt: 'Portuguese', nl: 'Dutch',
+  ja: 'Japanese', zh: 'Chinese', ko: 'Korean', ru: 'Russian',
+};
+
+// Words that give a language away: function words plus the verbs goals usually start with
+// ("ändern", "changer"). Only for guessing the language, never for dropping words.
+const LANGUAGE_CUES = {
+  en: ['the', 'to', 'my', 'and', 'how', 'want', 'of', 'for', 'in', 'i', 'a', 'change', 'where'],
+  de: ['der', 'die', 'das', 'und', 'mein', 'meine', 'meinen', 'ich', 'zu', 'wie', 'mochte', 'will', 'andern', 'ein', 'eine'],
+  fr: ['le', 'la', 'les', 'de', 'du', 'des', 'mon', 'ma', 'mes', 'je', 'et', 'un', 'une', 'comment', 'veux', 'changer'],
+  es: ['el', 'la', 'los', 'las', 'de', 'del', 'mi', 'mis', 'y', 'un', 'una', 'como', 'quiero', 'cambiar'],
+  it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'mio', 'mia', 'e', 'un', 'una', 'come', 'voglio', 'cambiare'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'do', 'da', 'meu', 'minha', 'e', 'um', 'uma', 'como', 'quero', 'mudar'],
+  nl: ['de', 'het', 'een', 'en', 'mijn', 'ik', 'wil', 'hoe', 'van', 'wijzigen'],
+};
+
+// concept -> names in several languages
+const CONCEPT_NAMES = {
+  settings: ['settings', 'preferences', 'einstellungen', 'parametres', 'reglages', 'configuracion', 'ajustes', 'impostazioni', 'configuracoes', 'instellingen', '設定', '设置', '설정', 'настройки'],
+  account: ['account', 'konto', 'compte', 'cuenta', 'conta', 'アカウント', '账户', '帐户', '계정', 'аккаунт'],
+  profile: ['profile', 'profil', 'perfil', 'profilo', 'profiel', 'プロフィール', '个人资料', '프로필', 'профиль'],
+  billing: ['billing', 'payment', 'payments', 'abrechnung', 'zahlung', 'zahlungen', 'facturation', 'paiement', 'facturacion', 'pago', 'pagos', 'fatturazione', 'pagamento', 'betaling', '請求', '支払い', '账单', '付款', '결제', 'оплата'],
+  subscription: ['subscription', 'subscriptions', 'abonnement', 'abo', 'suscripcion', 'abbonamento', 'assinatura', 'サブスクリプション', '订阅', '구독', 'подписка'],
+  invoice: ['invoice', 'invoices', 'rechnung', 'rechnungen', 'facture', 'factures', 'factura', 'facturas', 'fattura', 'fatture', 'fatura', 'factuur', '請求書', '发票', '인보이스', 'счет'],
+  users: ['users', 'user', 'team', 'members', 'benutzer', 'nutzer', 'mitglieder', 'utilisateurs', 'equipe', 'usuarios', 'equipo', 'utenti', 'gebruikers', 'ユーザー', 'メンバー', '用户', '成员', '사용자', 'пользователи'],
+  security: ['security', 'sicherheit', 'securite', 'seguridad', 'sicurezza', 'seguranca', 'beveiliging', 'セキュリティ', '安全', '보안', 'безопасность'],
+  password: ['password', 'passwort', 'kennwort', 'mot de passe', 'mot-de-passe', 'contrasena', 'senha', 'wachtwoord', 'パスワード', '密码', '비밀번호', 'пароль'],
+  email: ['email', 'e-mail', 'mail', 'courriel', 'correo', 'メール', '邮箱', '电子邮件', '이메일', 'почта'],
+  cancel: ['cancel', 'kundigen', 'kundigung', 'stornieren', 'annuler', 'resilier', 'cancelar', 'annullare', 'disdire', 'opzeggen', '解約', 'キャンセル', '取消', '退订', '해지', 'отменить'],
+  admin: ['admin', 'administration', 'verwaltung', 'administracion', 'amministrazione', '管理者', '管理员', '관리자'],
+  dashboard: ['dashboard', 'ubersicht', 'tableau de bord', 'panel', 'cruscotto', 'ダッシュボード', '仪表板', '대시보드'],
+  manage: ['manage', 'verwalten', 'gerer', 'gestionar', 'gestire', 'gerenciar', 'beheren', '管理', '관리'],
+  edit: ['edit', 'update', 'change', 'andern', 'bearbeiten', 'aktualisieren', 'modifier', 'changer', 'editar', 'cambiar', 'modificare', 'alterar', 'wijzigen', '変更', '編集', '编辑', '修改', '변경', 'изменить'],
+};
+
+// Path concepts worth a small boost on any goal (was RELEVANT_PATH_TOKENS)
+const RELEVANT_PATH_CONCEPTS = ['settings', 'account', 'profile', 'billing', 'subscription', 'users', 'security', 'password', 'invoice', 'admin', 'dashboard', 'manage', 'edit'];
+
+// Goal concept -> path concepts likely to lead there (was GOAL_KEYWORDS_MAP)
+const GOAL_PATH_CONCEPTS = {
+  email: ['settings', 'account', 'profile'],
+  subscription: ['billing', 'subscription'],
+  invoice: ['billing', 'invoice', 'account'],
+  users: ['users', 'admin', 'manage'],
+  password: ['security', 'password', 'account', 'settings'],
+  billing: ['billing', 'subscription', 'account'],
+  cancel: ['subscription', 'billing', 'account', 'manage'],
+};
+
+// Concepts that make a candidate a reasonable blind guess when the model times out
+const FALLBACK_CONCEPTS = ['email', 'subscription', 'billing', 'settings', 'account', 'password'];
+
+export function foldText(s) {
+  return String(s || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .normalize('NFC');
+}
+
+// Hyphens count as spaces, so "mot-de-passe" in a path matches "mot de passe"
+const CONCEPT_TERMS = Object.fromEntries(
+  Object.entries(CONCEPT_NAMES).map(([concept, names]) => [concept, [...new Set(names.map((n) => foldText(n).replace(/-/g, ' ')))]])
+);
+
+// BCP 47 tag from the client -> primary language subtag ("de-CH" -> "de"), or ''
+export function languageCode(tag) {
+  const m = /^([a-z]{2,3})(?:[-_][a-z0-9]{1,8})*$/i.exec(String(tag || '').trim());
+  return m ? m[1].toLowerCase() : '';
+}
+
+export function languageName(code) {
+  return LANGUAGE_NAMES[code] ? `${LANGUAGE_NAMES[code]} (${code})` : code;
+}
+
+// Script first (unambiguous), then the cue table with the most hits; '' when unsure
+export function detectLanguage(text) {
+  const s = String(text || '');
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(s)) return 'ja';
+  if (/\p{Script=Hangul}/u.test(s)) return 'ko';
+  if (/\p{Script=Han}/u.test(s)) return 'zh';
+  if (/\p{Script=Cyrillic}/u.test(s)) return 'ru';
+  const words = new Set(foldText(s).split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+  let best = '';
+  let bestHits = 0;
+  for (const [code, list] of Object.entries(LANGUAGE_CUES)) {
+    const hits = list.filter((w) => words.has(w)).length;
+    if (hits > bestHits) {
+      best = code;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+// Most common candidate locale (confidenceHints.locale) -> language code
+export function pageLanguage(candidates) {
+  const counts = new Map();
+  for (const c of candidates) {
+    const code = languageCode(c.confidenceHints?.locale);
+    if (code) counts.set(code, (counts.get(code) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+}
+
+// Shorter Latin terms ("abo", "mail", "edit") only match whole words
+const MIN_JOINED_TERM_LENGTH = 5;
+
+// Latin-script terms match whole words, or the start or end of a joined word
+// (/accountsettings, /billinginfo); CJK terms match anywhere (no spaces between words)
+function containsTerm(folded, term) {
+  if (!/[a-z0-9]/.test(term)) return folded.includes(term);
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(folded)) return true;
+  const joined = term.replace(/ /g, '');
+  if (joined.length < MIN_JOINED_TERM_LENGTH) return false;
+  return folded.split(/[^\p{L}\p{N}]+/u).some((word) => word.length > joined.length && (word.startsWith(joined) || word.endsWith(joined)));
+}
+
+// Concepts named in a goal or path, in any language of the tables; camelCase is split first
+export function conceptsIn(text) {
+  const folded = foldText(String(text || '').replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')).replace(/[-_/]+/g, ' ');
+  return Object.keys(CONCEPT_TERMS).filter((concept) =>
+    CONCEPT_TERMS[concept].some((term) => containsTerm(folded, term))
+  );
+}
+
+export function relevantPathConcepts() {
+  return RELEVANT_PATH_CONCEPTS;
+}
+
+// Path concepts that lead towards what the goal asks for
+export function pathConceptsForGoal(goal) {
+  const wanted = new Set();
+  for (const concept of conceptsIn(goal)) for (const c of GOAL_PATH_CONCEPTS[concept] || []) wanted.add(c);
+  return [...wanted];
+}
+
+// Concepts to look for in candidate labels when guessing without the model
+export function fallbackConcepts(goal) {
+  const named = conceptsIn(goal).filter((c) => FALLBACK_CONCEPTS.includes(c));
+  return named.length ? named : FALLBACK_CONCEPTS;
+}
+
+// Prompt lines telling the model which languages it is dealing with
+export function languageContext(goalLang, pageLang) {
+  if (!goalLang && !pageLang) return '';
+  const lines = [];
+  if (goalLang) lines.push(`The user goal is written in ${languageName(goalLang)}.`);
+  if (pageLang) lines.push(`The page (candidate labels) is in ${languageName(pageLang)}.`);
+  if (goalLang && pageLang && goalLang !== pageLang) {
+    lines.push('Match the goal to candidates by meaning across languages, not by shared words.');
+  }
+  return `\n\nLANGUAGES: ${lines.join(' ')}`;
+}
@@ -2,24 +2,43 @@ import dotenv from 'dotenv';
 dotenv.config({ path: new URL('./.env', import.meta.url).pathname });
 import express from 'express';
 import cors from 'cors';
-import { OpenAI } from 'openai';
-import fetch from 'node-fetch';
 import { XMLParser } from 'fast-xml-parser';
 import * as cheerio from 'cheerio';
+import { createProvider, completeWithTimeout, streamWithTimeout } from './providers.js';
+import { createAuth } from './auth.js';
+import { createCache } from './cache.js';
+import { createFeedbackStore, parseFeedback, candidateMatchesFeedback } from './feedback.js';
+import { createTranscriber, transcribeWithTimeout } from './transcribe.js';
+import { foldText, languageCode, detectLanguage, pageLanguage, conceptsIn, relevantPathConcepts, pathConceptsForGoal, fallbackConcepts, languageContext } from './i18n.js';
+import { safeFetch, validateUrl, BlockedUrlError } from './safe-fetch.js';
+import { parseRobotsTxt, rulesForAgent, isPathAllowed, fallbackRules } from './robots.js';
+import { extractJsonObject, validateRankResponse, validatePlanResponse, buildRepairMessages } from './validation.js';
 
 const app = express();
 const port = process.env.PORT || 8787;
 
-app.use(cors());
+// API keys, CORS allowlist, rate limits and token budgets (see auth.js)
+const auth = createAuth();
+const guarded = [auth.authenticate, auth.rateLimit];
+const guardedLLM = [...guarded, auth.tokenBudget];
+
+app.use(cors(auth.corsOptions));
 app.use(express.json({ limit: '2mb' }));
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const LLM_TIMEOUT_MS = 8000;
+// LLM backend selected by LLM_PROVIDER (see providers.js)
+const llm = createProvider();
+const MAX_PLAN_STEPS = 6;
 
-// /rank in-memory cache (60s TTL, max 500, simple LRU via Map insertion order)
+// /rank (and /plan) result cache (60s TTL, max 500, LRU); backend from CACHE_BACKEND (see cache.js)
 const RANK_CACHE_TTL_MS = 60 * 1000;
 const RANK_CACHE_MAX_ENTRIES = 500;
-const rankCache = new Map(); // key -> { timestamp:number, data:object }
+const rankCache = createCache({ name: 'rank', ttlMs: RANK_CACHE_TTL_MS, maxEntries: RANK_CACHE_MAX_ENTRIES });
+
+// Thumbs up/down and click signals per origin + goal (see feedback.js)
+const feedbackStore = createFeedbackStore();
+
+// Speech-to-text for voice goals, off unless TRANSCRIBE_BACKEND is set (see transcribe.js)
+const transcriber = createTranscriber();
 
 function normalizeToken(s) {
   return (s || '')
@@ -56,133 +75,318 @@ function buildPageSignatureFromCandidates(compactCandidates) {
   return tinyHash(deduped.join('|'));
 }
 
-function getRankCache(key) {
-  const ent = rankCache.get(key);
-  if (!ent) return null;
-  if (Date.now() - ent.timestamp > RANK_CACHE_TTL_MS) {
-    rankCache.delete(key);
-    return null;
-  }
-  // refresh LRU order
-  rankCache.delete(key);
-  rankCache.set(key, ent);
-  return ent.data;
-}
-
-function setRankCache(key, data) {
-  rankCache.set(key, { timestamp: Date.now(), data });
-  // evict expired first
-  for (const [k, v] of rankCache.entries()) {
-    if (Date.now() - v.timestamp > RANK_CACHE_TTL_MS) {
-      rankCache.delete(k);
-    }
-  }
-  // enforce max entries (delete oldest)
-  while (rankCache.size > RANK_CACHE_MAX_ENTRIES) {
-    const oldestKey = rankCache.keys().next().value;
-    if (oldestKey === undefined) break;
-    rankCache.delete(oldestKey);
-  }
-}
-
 // Site hints feature flag
 const ENABLE_SITE_HINTS = process.env.ENABLE_SITE_HINTS !== 'false';
 
-// Site hints cache (in-memory, 30 min TTL)
-const siteHintsCache = new Map();
+// Site hints cache (30 min TTL)
 const CACHE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const SITE_HINTS_CACHE_MAX_ENTRIES = 1000;
+const siteHintsCache = createCache({ name: 'site-hints', ttlMs: CACHE_TTL_MS, maxEntries: SITE_HINTS_CACHE_MAX_ENTRIES });
 
 // Site hints configuration
 const MAX_SITEMAP_URLS = 200;
 const MAX_CRAWL_LINKS = 80;
 const MAX_CONCURRENT_REQUESTS = 2;
-const USER_AGENT = 'ButtonBuddyBot/0.1';
+const ROBOTS_PRODUCT_TOKEN = 'ButtonBuddyBot';
+const USER_AGENT = `${ROBOTS_PRODUCT_TOKEN}/0.1`;
 const REQUEST_TIMEOUT_MS = 5000;
 
-// URL scoring keywords
-const RELEVANT_PATH_TOKENS = [
-  'settings', 'account', 'profile', 'billing', 'subscription', 'subscriptions',
-  'users', 'security', 'password', 'invoices', 'payment', 'preferences',
-  'admin', 'dashboard', 'manage', 'edit', 'update', 'change'
-];
-
-const GOAL_KEYWORDS_MAP = {
-  'email': ['settings', 'account', 'profile', 'preferences'],
-  'subscription': ['billing', 'subscription', 'subscriptions', 'payment'],
-  'invoice': ['billing', 'invoices', 'payment', 'account'],
-  'user': ['users', 'admin', 'manage', 'team'],
-  'password': ['security', 'password', 'account', 'settings'],
-  'billing': ['billing', 'payment', 'subscription', 'account'],
-  'cancel': ['subscription', 'billing', 'account', 'manage']
-};
+// URL scoring keywords (per-language concept tables) live in i18n.js
+
+function compactCandidate(c) {
+  return {
+    id: c.id,
+    tag: c.tag,
+    role: c.role,
+    type: c.type,
+    text: c.text,
+    accName: c.accName,
+    ariaLabel: c.ariaLabel,
+    nameAttr: c.nameAttr,
+    placeholder: c.placeholder,
+    labels: c.labels,
+    href: c.href,
+    classes: c.classes,
+    visible: c.visible,
+    clickable: c.clickable,
+    disabled: c.disabled,
+    domPath: c.domPath,
+    ancestorTextSample: c.ancestorTextSample,
+    confidenceHints: c.confidenceHints,
+  };
+}
+
+// Ask the model, validate the parsed answer, and on failure retry once with the
+// validation errors fed back. Token usage is charged to the requesting client.
+// With onText the first answer is streamed and onText sees the text so far.
+// Resolves to { value, errors, raw, repaired }.
+async function completeValidated(req, messages, task, validate, repairHint = '', onText = null) {
+  const first = onText
+    ? await streamWithTimeout(llm, messages, { task }, onText)
+    : await completeWithTimeout(llm, messages, { task });
+  auth.recordUsage(req, first.usage);
+  let check = validate(extractJsonObject(first.text));
+  if (!check.errors.length) return { ...check, raw: first.text, repaired: false };
+
+  console.warn(`[button-buddy] invalid ${task.kind} response, retrying: ${check.errors.join('; ')}`);
+  const retry = await completeWithTimeout(llm, buildRepairMessages(messages, first.text, check.errors, repairHint), { task });
+  auth.recordUsage(req, retry.usage);
+  check = validate(extractJsonObject(retry.text));
+  return { ...check, raw: retry.text, repaired: true };
+}
+
+function buildSiteHintsContext(siteHints) {
+  if (!siteHints || !Array.isArray(siteHints.hints) || siteHints.hints.length === 0) return '';
+  const hintsText = siteHints.hints.map(h => `- ${h.url} (${h.label}, score: ${h.score.toFixed(2)})`).join('\n');
+  return `\n\nSITE CONTEXT: Based on site analysis, these relevant paths were found:\n${hintsText}\n\nConsider these paths when selecting candidates - elements that link to or are near these paths may be more relevant to the goal.`;
+}
+
+function buildFeedbackContext(examples) {
+  if (!examples.length) return '';
+  const lines = examples.map((ex) => {
+    const what = `"${ex.label}" (${ex.role || ex.tag || 'control'}${ex.href ? `, ${ex.href}` : ''})`;
+    const verdict = ex.score > 0 ? `confirmed by users (+${ex.score})` : `rejected by users (${ex.score})`;
+    return `- goal "${ex.goal}": ${what} ${verdict}`;
+  });
+  return `\n\nPAST FEEDBACK on this site for this or similar goals:\n${lines.join('\n')}\n\nPrefer a confirmed control when it is among the candidates; avoid rejected ones unless nothing else fits. Candidates with this history carry confidenceHints.feedback (positive = confirmed).`;
+}
+
+// Plan context sent by the extension: { steps: string[], current: number }
+function normalizePlan(plan) {
+  if (!plan || !Array.isArray(plan.steps)) return null;
+  const steps = plan.steps.map((s) => String(s || '').trim()).filter(Boolean).slice(0, MAX_PLAN_STEPS);
+  if (steps.length < 2) return null;
+  const current = Math.max(0, Math.min(steps.length - 1, Number(plan.current) || 0));
+  return { steps, current };
+}
 
 app.get('/', (_req, res) => {
-  res.json({ ok: true, service: 'button-buddy', endpoints: ['/rank', '/site-hints'] });
+  res.json({
+    ok: true,
+    service: 'button-buddy',
+    endpoints: ['/rank', '/rank/stream', '/plan', '/site-hints', '/feedback', '/transcribe', '/cache/stats'],
+    llm: { provider: llm.name, model: llm.model, timeout_ms: llm.timeoutMs },
+    transcribe: transcriber ? { backend: transcriber.name, model: transcriber.model } : null,
+    auth: auth.enabled ? 'api-key' : 'none',
+  });
+});
+
+// Shared by /rank and /rank/stream. onProvisional(event) is called at most once, as soon
+// as the streamed answer names a known candidate; without it the model is not streamed.
+// Resolves to { status, body }.
+async function rankGoal(req, onProvisional = null) {
+  const { goal, candidates, siteHints } = req.body || {};
+  if (!goal || !Array.isArray(candidates)) {
+    return { status: 400, body: { error: 'Missing goal or candidates' } };
+  }
+  const plan = normalizePlan(req.body.plan);
+  // Elements the user rejected ("not this one") are never offered to the model
+  const exclude = new Set(Array.isArray(req.body.exclude) ? req.body.exclude.map(String) : []);
+
+  // Reduce payload size: keep compact fields, cap to 50
+  const compact = candidates.filter((c) => !exclude.has(String(c.id))).slice(0, 50).map(compactCandidate);
+  if (compact.length === 0) {
+    return { status: 400, body: { error: candidates.length ? 'No candidates left after exclusions' : 'Missing goal or candidates' } };
+  }
+
+  // Past feedback for this site: marks matching candidates and becomes few-shot examples
+  let origin = '';
+  try {
+    origin = req.body.origin ? new URL(req.body.origin).origin : '';
+  } catch (_e) {}
+  const feedback = origin ? await feedbackStore.lookup(origin, goal) : { revision: 0, examples: [] };
+  for (const c of compact) {
+    const score = feedback.examples.filter((ex) => candidateMatchesFeedback(c, ex)).reduce((sum, ex) => sum + ex.score, 0);
+    if (score) c.confidenceHints = { ...c.confidenceHints, feedback: score };
+  }
+
+  // Languages of goal and page, so e.g. a German goal on an English page is matched by meaning
+  const goalLang = languageCode(req.body.goalLanguage) || detectLanguage(goal);
+  const pageLang = languageCode(req.body.pageLanguage) || pageLanguage(compact);
+
+  // Build cache key from goal + compact page signature (no raw HTML stored)
+  const pageSignature = buildPageSignatureFromCandidates(compact);
+  const planKey = plan ? `|${tinyHash(plan.steps.join('|'))}:${plan.current}` : '';
+  const excludeKey = exclude.size ? `|x:${tinyHash([...exclude].sort().join('|'))}` : '';
+  const feedbackKey = feedback.revision ? `|fb:${tinyHash(origin)}:${feedback.revision}` : '';
+  const cacheKey = `${goal.toLowerCase().trim()}|${pageSignature}|${goalLang}>${pageLang}${planKey}${excludeKey}${feedbackKey}`;
+  const cached = await rankCache.get(cacheKey);
+  if (cached) {
+    return { status: 200, body: { ...cached, cache_hit: true } };
+  }
+
+  // Build system prompt with site hints context if available
+  let systemPrompt = 'You are a careful UI action ranker. Given a user goal and a small list of interactable UI controls from a web page, choose the single best control that most directly progresses the goal. Prefer highly specific controls that immediately advance the task over generic navigation. Be conservative. Return JSON only.\n\nCONSTRAINT: Choose exactly one element from candidates. Prefer labels that include goal-relevant nouns (email, billing, subscription, subscriptions, users, password, security, or their equivalents in the page language) over generic words (change, more, menu, help, docs). If only generics exist, choose the most specific path (settings/account/profile) and lower confidence.';
+  systemPrompt += languageContext(goalLang, pageLang);
+  if (goalLang) systemPrompt += ` Write "reason" in the language of the user goal.`;
+  systemPrompt += buildSiteHintsContext(siteHints);
+  systemPrompt += buildFeedbackContext(feedback.examples);
+
+  const system = systemPrompt;
+
+  const user = {
+    goal,
+    instructions:
+      'Select ONE best candidate. Consider accessible name, role/type, nearby/ancestor text, and hints. If confidence is low, reflect that in confidence score. Avoid generic links unless they clearly lead to the desired area. Prefer goal-relevant nouns (email, billing, subscription, subscriptions, users, password, security, in any language) over generics (change, more, menu, help, docs). If only generics exist, pick the most specific path (settings/account/profile) and lower confidence. Output as JSON.',
+    candidates: compact,
+    output_schema: {
+      elementId: 'string',
+      reason: 'string, 1 short sentence',
+      confidence: 'number 0-100',
+      alternates: 'optional, up to 3 elementId strings ordered by preference',
+    },
+  };
+
+  // In plan mode the model picks the control for the current step, but may skip ahead
+  // when a later step's control is already on screen (e.g. user navigated manually).
+  let planContext = '';
+  let planSchema = '';
+  if (plan) {
+    planContext =
+      '\nPLAN (ordered steps toward the goal, 0-based):\n' +
+      plan.steps.map((step, i) => `${i}. ${step}`).join('\n') +
+      `\nCURRENT STEP: ${plan.current}. Choose the control that performs the current step. If a later step's control is already visible, choose that instead. Report the step index you chose in "stepIndex".`;
+    planSchema = ',"stepIndex":0';
+  }
+
+  const messages = [
+    { role: 'system', content: system },
+    {
+      role: 'user',
+      content:
+        'USER GOAL:\n' +
+        goal +
+        planContext +
+        '\nCANDIDATES (JSON):\n' +
+        JSON.stringify(compact).slice(0, 120000) +
+        `\nIMPORTANT: You must choose an elementId strictly from the provided candidates (by id). Do not invent or transform ids.\nRespond ONLY with a compact JSON object: {"elementId":"...","reason":"...","confidence":0-100,"alternates":["..."]?${planSchema}}`,
+    },
+  ];
+
+  // call LLM with a hard timeout and capture timing; invalid answers get one repair retry
+  const candidateIds = new Set(compact.map((c) => c.id));
+  const started = Date.now();
+  let provisionalSent = false;
+  const onText = onProvisional && ((text) => {
+    if (provisionalSent) return;
+    const id = text.match(/"elementId"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+    if (!id || !candidateIds.has(id[1])) return;
+    provisionalSent = true;
+    onProvisional({ elementId: id[1], llm_ms: Date.now() - started });
+  });
+  let outcome;
+  let llm_ms = 0;
+  try {
+    outcome = await completeValidated(
+      req,
+      messages,
+      { kind: 'rank', goal, candidates: compact, plan },
+      (parsed) => validateRankResponse(parsed, { candidateIds, plan }),
+      `Valid elementId values: ${JSON.stringify([...candidateIds]).slice(0, 4000)}`,
+      onText
+    );
+    llm_ms = Date.now() - started;
+  } catch (e) {
+    llm_ms = Date.now() - started;
+
+    if (e && e.message === 'LLM_TIMEOUT') {
+      // Soft fallback guess from compact candidates when the LLM times out; a control
+      // users confirmed for this goal beats the keyword heuristic, which looks for the
+      // goal's concepts (or common account areas) in any language
+      const confirmed = compact
+        .filter((c) => c.confidenceHints?.feedback > 0)
+        .sort((a, b) => b.confidenceHints.feedback - a.confidenceHints.feedback)[0];
+      const wanted = fallbackConcepts(goal);
+      const pick = confirmed || compact.find((c) =>
+        conceptsIn(`${c.text || ''} ${c.accName || ''} ${c.ariaLabel || ''}`).some((concept) => wanted.includes(concept))
+      ) || compact[0];
+
+      const fallback = {
+        elementId: pick?.id || null,
+        reason: 'Timed out; offering best local guess',
+        confidence: 35,
+        alternates: undefined,
+        llm_ms,
+      };
+      await rankCache.set(cacheKey, fallback);
+      return { status: 200, body: { ...fallback, cache_hit: false } };
+    }
+
+    console.error('LLM call error:', e);
+    return { status: 502, body: { error: 'LLM error', detail: String(e), llm_ms } };
+  }
+
+  if (outcome.errors.length) {
+    return { status: 502, body: { error: 'Bad LLM response', detail: outcome.errors.join('; '), raw: outcome.raw, llm_ms } };
+  }
+
+  const payload = { ...outcome.value, repaired: outcome.repaired, llm_ms };
+  await rankCache.set(cacheKey, payload);
+  return { status: 200, body: { ...payload, cache_hit: false } };
+}
+
+app.post('/rank', guardedLLM, async (req, res) => {
+  try {
+    const { status, body } = await rankGoal(req);
+    res.status(status).json(body);
+  } catch (err) {
+    console.error('Rank error:', err);
+    res.status(500).json({ error: 'Internal error' });
+  }
 });
 
-app.post('/rank', async (req, res) => {
+// Same as /rank, answered as newline-delimited JSON events:
+//   {"type":"provisional","elementId":"...","llm_ms":...}   as soon as the model names a candidate
+//   {"type":"final", ...same body as /rank}                  after validation
+//   {"type":"error","status":502,"error":"...",...}          if ranking fails after the stream began
+// Cache hits go straight to "final". Errors before the first event are plain JSON
+// responses with the /rank status codes.
+app.post('/rank/stream', guardedLLM, async (req, res) => {
+  const send = (event) => {
+    if (!res.headersSent) {
+      res.set({ 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    }
+    res.write(JSON.stringify(event) + '\n');
+  };
+  try {
+    const { status, body } = await rankGoal(req, (event) => send({ type: 'provisional', ...event }));
+    if (status === 200) send({ type: 'final', ...body });
+    else if (res.headersSent) send({ type: 'error', status, ...body });
+    else return res.status(status).json(body);
+    res.end();
+  } catch (err) {
+    console.error('Rank stream error:', err);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal error' });
+    send({ type: 'error', status: 500, error: 'Internal error' });
+    res.end();
+  }
+});
+
+// Break a goal into an ordered list of short navigation steps, e.g.
+// "change my password" -> ["Open Settings", "Open Security", "Click Change password"]
+app.post('/plan', guardedLLM, async (req, res) => {
   try {
     const { goal, candidates, siteHints } = req.body || {};
     if (!goal || !Array.isArray(candidates)) {
       return res.status(400).json({ error: 'Missing goal or candidates' });
     }
 
-    // Reduce payload size: keep compact fields, cap to 50
-    const compact = candidates
-      .slice(0, 50)
-      .map((c) => ({
-        id: c.id,
-        tag: c.tag,
-        role: c.role,
-        type: c.type,
-        text: c.text,
-        accName: c.accName,
-        ariaLabel: c.ariaLabel,
-        nameAttr: c.nameAttr,
-        placeholder: c.placeholder,
-        labels: c.labels,
-        href: c.href,
-        classes: c.classes,
-        visible: c.visible,
-        clickable: c.clickable,
-        disabled: c.disabled,
-        domPath: c.domPath,
-        ancestorTextSample: c.ancestorTextSample,
-        confidenceHints: c.confidenceHints,
-      }));
-
-    // Build cache key from goal + compact page signature (no raw HTML stored)
-    const pageSignature = buildPageSignatureFromCandidates(compact);
-    const cacheKey = `${goal.toLowerCase().trim()}|${pageSignature}`;
-    const cached = getRankCache(cacheKey);
+    const compact = candidates.slice(0, 50).map(compactCandidate);
+    const goalLang = languageCode(req.body.goalLanguage) || detectLanguage(goal);
+    const pageLang = languageCode(req.body.pageLanguage) || pageLanguage(compact);
+    const cacheKey = `plan|${goal.toLowerCase().trim()}|${buildPageSignatureFromCandidates(compact)}|${goalLang}>${pageLang}`;
+    const cached = await rankCache.get(cacheKey);
     if (cached) {
       return res.json({ ...cached, cache_hit: true });
     }
 
-    // Build system prompt with site hints context if available
-    let systemPrompt = 'You are a careful UI action ranker. Given a user goal and a small list of interactable UI controls from a web page, choose the single best control that most directly progresses the goal. Prefer highly specific controls that immediately advance the task over generic navigation. Be conservative. Return JSON only.\n\nCONSTRAINT: Choose exactly one element from candidates. Prefer labels that include goal-relevant nouns (email, billing, subscription, subscriptions, users, password, security) over generic words (change, more, menu, help, docs). If only generics exist, choose the most specific path (settings/account/profile) and lower confidence.';
-    
-    let siteHintsContext = '';
-    if (siteHints && Array.isArray(siteHints.hints) && siteHints.hints.length > 0) {
-      const hintsText = siteHints.hints.map(h => `- ${h.url} (${h.label}, score: ${h.score.toFixed(2)})`).join('\n');
-      siteHintsContext = `\n\nSITE CONTEXT: Based on site analysis, these relevant paths were found:\n${hintsText}\n\nConsider these paths when selecting candidates - elements that link to or are near these paths may be more relevant to the goal.`;
-      systemPrompt += siteHintsContext;
-    }
-
-    const system = systemPrompt;
-
-    const user = {
-      goal,
-      instructions:
-        'Select ONE best candidate. Consider accessible name, role/type, nearby/ancestor text, and hints. If confidence is low, reflect that in confidence score. Avoid generic links unless they clearly lead to the desired area. Prefer goal-relevant nouns (email, billing, subscription, subscriptions, users, password, security) over generics (change, more, menu, help, docs). If only generics exist, pick the most specific path (settings/account/profile) and lower confidence. Output as JSON.',
-      candidates: compact,
-      output_schema: {
-        elementId: 'string',
-        reason: 'string, 1 short sentence',
-        confidence: 'number 0-100',
-        alternates: 'optional, up to 3 elementId strings ordered by preference',
-      },
-    };
+    const system =
+      'You are a careful UI navigation planner. Given a user goal and the interactable controls visible on the current web page, list the ordered steps a user would take from this page to complete the goal. Each step is a short imperative phrase (2-6 words) naming the control to use, e.g. "Open Settings", "Go to Security", "Click Change password". The first step should use a control that is visible now. Use as few steps as possible (1-' +
+      MAX_PLAN_STEPS +
+      '). Do not include steps that type or submit personal data. Return JSON only.' +
+      languageContext(goalLang, pageLang) +
+      (goalLang && pageLang && goalLang !== pageLang ? ' Write the steps in the language of the user goal, but quote control names exactly as they appear on the page.' : '') +
+      buildSiteHintsContext(siteHints);
 
     const messages = [
       { role: 'system', content: system },
@@ -191,89 +395,42 @@ app.post('/rank', async (req, res) => {
         content:
           'USER GOAL:\n' +
           goal +
-          '\nCANDIDATES (JSON):\n' +
+          '\nCANDIDATES ON CURRENT PAGE (JSON):\n' +
           JSON.stringify(compact).slice(0, 120000) +
-          '\nIMPORTANT: You must choose an elementId strictly from the provided candidates (by id). Do not invent or transform ids.\nRespond ONLY with a compact JSON object: {"elementId":"...","reason":"...","confidence":0-100,"alternates":["..."]?}',
+          '\nRespond ONLY with a compact JSON object: {"steps":["...","..."]}',
       },
     ];
 
-    // call LLM with a hard timeout and capture timing (Promise.race, no SDK signal)
     const started = Date.now();
-    let timer;
-    let llmText = '';
+    let outcome;
     let llm_ms = 0;
     try {
-      const llmCall = openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        temperature: 0.15,
+      outcome = await completeValidated(
+        req,
         messages,
-      });
-      const timeout = new Promise((_, reject) => {
-        timer = setTimeout(() => reject(new Error('LLM_TIMEOUT')), LLM_TIMEOUT_MS);
-      });
-
-      const resp = await Promise.race([llmCall, timeout]);
-      clearTimeout(timer);
+        { kind: 'plan', goal, candidates: compact },
+        (parsed) => validatePlanResponse(parsed, { maxSteps: MAX_PLAN_STEPS })
+      );
       llm_ms = Date.now() - started;
-
-      // If we got a real response object, extract text
-      if (resp && resp.choices) {
-        llmText = resp.choices?.[0]?.message?.content?.trim() || '';
-      } else {
-        // Defensive: if Promise.race resolved with something unexpected
-        throw new Error('LLM_TIMEOUT');
-      }
     } catch (e) {
       llm_ms = Date.now() - started;
-      clearTimeout(timer);
-
       if (e && e.message === 'LLM_TIMEOUT') {
-        // Soft fallback guess from compact candidates when the LLM times out
-        const pick = compact.find(c => /email|subscription|billing|settings|account|password/i.test(
-          (c.text || '') + ' ' + (c.accName || '') + ' ' + (c.ariaLabel || '')
-        )) || compact[0];
-
-        const fallback = {
-          elementId: pick?.id || null,
-          reason: 'Timed out; offering best local guess',
-          confidence: 35,
-          alternates: undefined,
-          llm_ms,
-        };
-        setRankCache(cacheKey, fallback);
-        return res.json({ ...fallback, cache_hit: false });
+        // Without a plan the extension behaves as a single-step flow
+        return res.json({ steps: [goal], reason: 'Timed out; single-step plan', llm_ms, cache_hit: false });
       }
-
-      console.error('LLM call error:', e);
+      console.error('LLM plan error:', e);
       return res.status(502).json({ error: 'LLM error', detail: String(e), llm_ms });
     }
 
-    // parse LLM output (try robustly)
-    const text = llmText;
-    let parsed;
-    try {
-      parsed = JSON.parse(text);
-    } catch (_e) {
-      const match = text.match(/\{[\s\S]*\}/);
-      parsed = match ? JSON.parse(match[0]) : null;
-    }
-
-    if (!parsed || !parsed.elementId) {
-      return res.status(502).json({ error: 'Bad LLM response', raw: text, llm_ms });
+    if (outcome.errors.length) {
+      return res.status(502).json({ error: 'Bad LLM response', detail: outcome.errors.join('; '), raw: outcome.raw, llm_ms });
     }
 
-    const result = {
-      elementId: parsed.elementId,
-      reason: parsed.reason || 'Chosen as best match to goal',
-      confidence: typeof parsed.confidence === 'number' ? parsed.confidence : 50,
-      alternates: Array.isArray(parsed.alternates) ? parsed.alternates.slice(0, 3) : undefined,
-    };
-
-    const payload = { ...result, llm_ms };
-    setRankCache(cacheKey, payload);
+    const payload = { ...outcome.value, llm_ms };
+    await rankCache.set(cacheKey, payload);
     res.json({ ...payload, cache_hit: false });
   } catch (err) {
-    console.error('Rank error:', err);
+    console.error('Plan error:', err);
     res.status(500).json({ error: 'Internal error' });
   }
 });
@@ -283,40 +440,38 @@ function getCacheKey(origin, goal) {
   return `${origin}::${goal.toLowerCase()}`;
 }
 
-function isCacheValid(timestamp) {
-  return Date.now() - timestamp < CACHE_TTL_MS;
-}
-
 function extractPathStem(url) {
+  let stem;
   try {
-    const urlObj = new URL(url);
-    return urlObj.pathname.replace(/\/$/, '').toLowerCase();
+    stem = new URL(url).pathname.replace(/\/$/, '').toLowerCase();
   } catch {
     return url.toLowerCase();
   }
+  // Localized paths arrive percent-encoded (/%E8%A8%AD%E5%AE%9A -> /設定)
+  try {
+    return decodeURIComponent(stem);
+  } catch {
+    return stem;
+  }
 }
 
 function scoreUrl(url, goal, pathStem) {
   let score = 0;
-  const lowerUrl = url.toLowerCase();
-  const lowerGoal = goal.toLowerCase();
-  const lowerPathStem = pathStem.toLowerCase();
+  const foldedPathStem = foldText(pathStem);
+  // Concepts in the path, in any language: /konto/sicherheit -> account, security
+  const pathConcepts = conceptsIn(pathStem);
   
-  // Base score for relevant path tokens
-  for (const token of RELEVANT_PATH_TOKENS) {
-    if (lowerPathStem.includes(token)) {
+  // Base score for relevant path concepts
+  for (const concept of relevantPathConcepts()) {
+    if (pathConcepts.includes(concept)) {
       score += 0.3;
     }
   }
   
   // Goal-specific scoring
-  for (const [goalKeyword, relevantTokens] of Object.entries(GOAL_KEYWORDS_MAP)) {
-    if (lowerGoal.includes(goalKeyword)) {
-      for (const token of relevantTokens) {
-        if (lowerPathStem.includes(token)) {
-          score += 0.4;
-        }
-      }
+  for (const concept of pathConceptsForGoal(goal)) {
+    if (pathConcepts.includes(concept)) {
+      score += 0.4;
     }
   }
   
@@ -325,7 +480,7 @@ function scoreUrl(url, goal, pathStem) {
   score -= depth * 0.05;
   
   // Bonus for exact matches
-  if (lowerPathStem === '/' + goal.toLowerCase().replace(/[^a-z0-9]/g, '')) {
+  if (foldedPathStem === '/' + foldText(goal).replace(/[^\p{L}\p{N}]/gu, '')) {
     score += 0.5;
   }
   
@@ -347,47 +502,74 @@ function deduplicateByStem(urls) {
   return result;
 }
 
+// All crawler traffic goes through safeFetch (SSRF guards, redirect re-validation, size cap)
 async function fetchWithTimeout(url, options = {}) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-  
+  return safeFetch(url, {
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    headers: {
+      'User-Agent': USER_AGENT,
+      ...options.headers
+    },
+    allowRedirect: options.allowRedirect
+  });
+}
+
+function pathOf(url) {
+  const u = new URL(url);
+  return u.pathname + u.search;
+}
+
+// One origin's robots.txt -> { rules, sitemaps } for our user agent
+async function loadRobotsRules(origin) {
+  let rules;
+  let sitemaps = [];
   try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-      headers: {
-        'User-Agent': USER_AGENT,
-        ...options.headers
-      }
-    });
-    clearTimeout(timeoutId);
-    return response;
+    const response = await fetchWithTimeout(`${origin}/robots.txt`);
+    if (response.ok) {
+      const robots = parseRobotsTxt(await response.text());
+      rules = rulesForAgent(robots, ROBOTS_PRODUCT_TOKEN);
+      sitemaps = robots.sitemaps;
+    } else {
+      rules = fallbackRules(response.status);
+    }
   } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
+    if (error instanceof BlockedUrlError) throw error;
+    rules = fallbackRules(0);
   }
+  return { rules, sitemaps };
 }
 
+// -> { sitemaps: string[], isAllowed(url), allowRedirect(url) } for our user agent.
+// isAllowed only accepts this origin; allowRedirect gates every redirect hop, checking
+// hops to other origins against their own robots.txt.
 async function fetchRobotsTxt(origin) {
-  try {
-    const response = await fetchWithTimeout(`${origin}/robots.txt`);
-    if (!response.ok) return null;
-    
-    const text = await response.text();
-    const sitemapMatches = text.match(/^Sitemap:\s*(.+)$/gm);
-    
-    if (sitemapMatches) {
-      return sitemapMatches.map(match => match.replace(/^Sitemap:\s*/, '').trim());
+  const { rules, sitemaps } = await loadRobotsRules(origin);
+  const otherOrigins = new Map(); // origin -> promise of its { rules, sitemaps }
+
+  const isAllowed = (url) => {
+    try {
+      return new URL(url).origin === origin && isPathAllowed(rules, pathOf(url));
+    } catch {
+      return false;
     }
-    return [];
-  } catch {
-    return null;
-  }
+  };
+  const allowRedirect = async (url) => {
+    try {
+      const target = new URL(url).origin;
+      if (target === origin) return isPathAllowed(rules, pathOf(url));
+      if (!otherOrigins.has(target)) otherOrigins.set(target, loadRobotsRules(target));
+      return isPathAllowed((await otherOrigins.get(target)).rules, pathOf(url));
+    } catch {
+      return false;
+    }
+  };
+  return { sitemaps, isAllowed, allowRedirect };
 }
 
-async function parseSitemap(sitemapUrl) {
+async function parseSitemap(sitemapUrl, robots) {
   try {
-    const response = await fetchWithTimeout(sitemapUrl);
+    if (!robots.isAllowed(sitemapUrl)) return [];
+    const response = await fetchWithTimeout(sitemapUrl, { allowRedirect: robots.allowRedirect });
     if (!response.ok) return [];
     
     const xml = await response.text();
@@ -411,7 +593,7 @@ async function parseSitemap(sitemapUrl) {
       
       for (const childSitemap of childSitemaps) {
         if (childSitemap.loc) {
-          const childUrls = await parseSitemap(childSitemap.loc);
+          const childUrls = await parseSitemap(childSitemap.loc, robots);
           urls.push(...childUrls);
         }
       }
@@ -423,9 +605,10 @@ async function parseSitemap(sitemapUrl) {
   }
 }
 
-async function shallowCrawl(origin) {
+async function shallowCrawl(origin, robots) {
   try {
-    const response = await fetchWithTimeout(origin);
+    if (!robots.isAllowed(`${origin}/`)) return [];
+    const response = await fetchWithTimeout(origin, { allowRedirect: robots.allowRedirect });
     if (!response.ok) return [];
     
     const html = await response.text();
@@ -473,17 +656,18 @@ async function getSiteHints(origin, goal) {
   let urls = [];
   
   try {
-    // Try robots.txt first
-    const sitemapUrls = await fetchRobotsTxt(origin);
+    // Try robots.txt first; its rules gate every path we fetch afterwards
+    const robots = await fetchRobotsTxt(origin);
+    const sitemapUrls = robots.sitemaps.filter(robots.isAllowed);
     
-    if (sitemapUrls && sitemapUrls.length > 0) {
+    if (sitemapUrls.length > 0) {
       source = 'sitemap';
       
       // Parse up to 2 sitemaps
       const sitemapsToParse = sitemapUrls.slice(0, 2);
       
       for (const sitemapUrl of sitemapsToParse) {
-        const sitemapUrls = await parseSitemap(sitemapUrl);
+        const sitemapUrls = await parseSitemap(sitemapUrl, robots);
         urls.push(...sitemapUrls);
         
         if (urls.length >= MAX_SITEMAP_URLS) break;
@@ -493,7 +677,7 @@ async function getSiteHints(origin, goal) {
     // Fallback to shallow crawl if no sitemap URLs
     if (urls.length === 0) {
       source = 'crawl';
-      urls = await shallowCrawl(origin);
+      urls = await shallowCrawl(origin, robots);
     }
     
     // Score and rank URLs
@@ -516,11 +700,13 @@ async function getSiteHints(origin, goal) {
       }
     };
   } catch (error) {
-    console.error('Site hints error:', error);
+    const blocked = error instanceof BlockedUrlError;
+    if (blocked) console.warn(`Site hints blocked for ${origin}: ${error.message}`);
+    else console.error('Site hints error:', error);
     return {
       hints: [],
       meta: {
-        source: 'error',
+        source: blocked ? 'blocked' : 'error',
         fetched_ms: Date.now() - startTime,
         ttl_s: Math.floor(CACHE_TTL_MS / 1000)
       }
@@ -529,29 +715,31 @@ async function getSiteHints(origin, goal) {
 }
 
 // Site hints endpoint
-app.post('/site-hints', async (req, res) => {
+app.post('/site-hints', guarded, async (req, res) => {
   if (!ENABLE_SITE_HINTS) {
     return res.json({ hints: [], meta: { source: 'disabled', fetched_ms: 0, ttl_s: 0 } });
   }
   
   try {
-    const { origin, goal } = req.body || {};
+    let { origin, goal } = req.body || {};
     if (!origin || !goal) {
       return res.status(400).json({ error: 'Missing origin or goal' });
     }
     
-    // Validate origin URL
+    // Validate origin URL: http(s), allowed port, no literal private address.
+    // Hostnames resolving to private addresses are refused when fetched.
     let originUrl;
     try {
-      originUrl = new URL(origin);
-    } catch {
-      return res.status(400).json({ error: 'Invalid origin URL' });
+      originUrl = validateUrl(origin);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid origin URL', detail: error.message });
     }
+    origin = originUrl.origin;
     
     const cacheKey = getCacheKey(origin, goal);
-    const cached = siteHintsCache.get(cacheKey);
+    const cached = await siteHintsCache.get(cacheKey);
     
-    if (cached && isCacheValid(cached.timestamp)) {
+    if (cached) {
       return res.json({
         origin,
         hints: cached.hints,
@@ -565,20 +753,12 @@ app.post('/site-hints', async (req, res) => {
     // Fetch fresh hints
     const result = await getSiteHints(origin, goal);
     
-    // Cache the result
-    siteHintsCache.set(cacheKey, {
+    // Cache the result (the cache expires and evicts old entries itself)
+    await siteHintsCache.set(cacheKey, {
       hints: result.hints,
-      meta: result.meta,
-      timestamp: Date.now()
+      meta: result.meta
     });
     
-    // Clean up old cache entries
-    for (const [key, value] of siteHintsCache.entries()) {
-      if (!isCacheValid(value.timestamp)) {
-        siteHintsCache.delete(key);
-      }
-    }
-    
     res.json({
       origin,
       hints: result.hints,
@@ -597,8 +777,56 @@ app.post('/site-hints', async (req, res) => {
   }
 });
 
+// Feedback on a highlighted control: { origin, goal, verdict: up|down|clicked|other,
+// element: { label, role, tag, href }, clicked?: {...} (for "other") }
+app.post('/feedback', guarded, async (req, res) => {
+  try {
+    const { value, errors } = parseFeedback(req.body);
+    if (!value) {
+      return res.status(400).json({ error: 'Invalid feedback', detail: errors.join('; ') });
+    }
+    const revision = await feedbackStore.record(value);
+    res.json({ ok: true, revision });
+  } catch (err) {
+    console.error('Feedback error:', err);
+    res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// Voice goals: the raw recording as the body (Content-Type audio/webm, audio/ogg...),
+// optional ?lang=en. Answers { text }; 501 when no TRANSCRIBE_BACKEND is configured.
+function requireTranscriber(_req, res, next) {
+  if (transcriber) return next();
+  res.status(501).json({ error: 'Transcription not configured', detail: 'Set TRANSCRIBE_BACKEND on the server' });
+}
+
+app.post('/transcribe', guarded, requireTranscriber, express.raw({ type: 'audio/*', limit: transcriber ? transcriber.maxBytes : 0 }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Missing audio', detail: 'Send the recording as an audio/* request body' });
+  }
+  const language = typeof req.query.lang === 'string' && /^[a-z]{2,3}$/i.test(req.query.lang) ? req.query.lang.toLowerCase() : undefined;
+  try {
+    const { text } = await transcribeWithTimeout(transcriber, req.body, { mimeType: req.get('Content-Type'), language });
+    res.json({ text });
+  } catch (e) {
+    if (String(e?.message || e) === 'TRANSCRIBE_TIMEOUT') {
+      return res.status(504).json({ error: 'Transcription timed out' });
+    }
+    console.error('Transcribe error:', e);
+    res.status(502).json({ error: 'Transcription error', detail: String(e) });
+  }
+});
+
+// Cache statistics (hits, misses, evictions...) per cache
+app.get('/cache/stats', guarded, async (_req, res) => {
+  res.json({ caches: [await rankCache.stats(), await siteHintsCache.stats()] });
+});
+
 app.listen(port, () => {
   console.log(`[button-buddy] server listening on http://localhost:${port}`);
+  console.log(`[button-buddy] LLM provider: ${llm.name} (${llm.model}, timeout ${llm.timeoutMs}ms)`);
+  if (transcriber) console.log(`[button-buddy] Transcription: ${transcriber.name} (${transcriber.model})`);
+  if (!auth.enabled) console.warn('[button-buddy] BB_API_KEYS not set: /rank, /plan, /site-hints, /feedback and /transcribe accept unauthenticated requests');
 });
 
 
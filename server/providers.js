@@ -0,0 +1,307 @@
+// LLM provider layer for /rank and /plan.
+//
+// Every provider exposes the same shape so prompt building and JSON parsing in the
+// route handlers do not care which backend answered:
+//   { name, model, timeoutMs, complete(messages, { temperature, signal, task }) -> { text, usage } }
+// Providers may also implement stream(messages, options), an async generator yielding
+// { delta } text pieces and finally { usage }; /rank/stream uses it for early picks.
+// `messages` are OpenAI-style chat messages ({ role: 'system'|'user'|'assistant', content }).
+// `task` ({ kind, goal, candidates, plan }) is informational; only the stub uses it.
+//
+// Config (env):
+//   LLM_PROVIDER    openai (default) | anthropic | ollama | stub
+//   LLM_MODEL       model name, defaults per provider
+//   LLM_TIMEOUT_MS  hard timeout per call, defaults per provider
+//   OPENAI_API_KEY, OPENAI_BASE_URL (any OpenAI-compatible server, e.g. llama.cpp)
+//   ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL
+//   OLLAMA_URL      default http://localhost:11434
+//   LLM_STUB_RESPONSE  fixed text for the stub provider (otherwise it answers deterministically)
+import { OpenAI } from 'openai';
+import fetch from 'node-fetch';
+
+const DEFAULTS = {
+  openai: { model: 'gpt-4o-mini', timeoutMs: 8000 },
+  anthropic: { model: 'claude-3-5-haiku-latest', timeoutMs: 8000 },
+  ollama: { model: 'llama3.1', timeoutMs: 30000 },
+  stub: { model: 'stub', timeoutMs: 1000 },
+};
+
+function emptyUsage() {
+  return { input_tokens: 0, output_tokens: 0 };
+}
+
+// Split a streamed node-fetch body into lines. One decoder for the whole stream: a multi-byte
+// character split across two chunks is held back until its last byte arrives.
+async function* readLines(body) {
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, nl).replace(/\r$/, '');
+      buffer = buffer.slice(nl + 1);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+function createOpenAIProvider({ model, timeoutMs, env }) {
+  // Only constructed when selected, so other providers boot without OPENAI_API_KEY
+  const client = new OpenAI({ apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL || undefined });
+  return {
+    name: 'openai',
+    model,
+    timeoutMs,
+    async complete(messages, { temperature = 0.15, signal } = {}) {
+      const resp = await client.chat.completions.create({ model, temperature, messages }, { signal });
+      if (!resp || !resp.choices) throw new Error('Unexpected OpenAI response');
+      return {
+        text: resp.choices?.[0]?.message?.content?.trim() || '',
+        usage: {
+          input_tokens: resp.usage?.prompt_tokens || 0,
+          output_tokens: resp.usage?.completion_tokens || 0,
+        },
+      };
+    },
+    async *stream(messages, { temperature = 0.15, signal } = {}) {
+      const stream = await client.chat.completions.create(
+        { model, temperature, messages, stream: true, stream_options: { include_usage: true } },
+        { signal }
+      );
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) yield { delta };
+        if (chunk.usage) {
+          yield { usage: { input_tokens: chunk.usage.prompt_tokens || 0, output_tokens: chunk.usage.completion_tokens || 0 } };
+        }
+      }
+    },
+  };
+}
+
+function createAnthropicProvider({ model, timeoutMs, env }) {
+  const baseUrl = (env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+
+  async function request(messages, { temperature, signal, stream }) {
+    if (!env.ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY is not set');
+    // Anthropic takes the system prompt separately from the conversation
+    const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+    const conversation = messages
+      .filter((m) => m.role !== 'system')
+      .map((m) => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content }));
+    const response = await fetch(`${baseUrl}/v1/messages`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({ model, max_tokens: 1024, temperature, system, messages: conversation, stream }),
+    });
+    if (!response.ok) {
+      throw new Error(`Anthropic HTTP ${response.status}: ${(await response.text()).slice(0, 300)}`);
+    }
+    return response;
+  }
+
+  return {
+    name: 'anthropic',
+    model,
+    timeoutMs,
+    async complete(messages, { temperature = 0.15, signal } = {}) {
+      const response = await request(messages, { temperature, signal, stream: false });
+      const data = await response.json();
+      const text = (data.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('').trim();
+      return {
+        text,
+        usage: { input_tokens: data.usage?.input_tokens || 0, output_tokens: data.usage?.output_tokens || 0 },
+      };
+    },
+    // Server-sent events: message_start carries input usage, message_delta output usage
+    async *stream(messages, { temperature = 0.15, signal } = {}) {
+      const response = await request(messages, { temperature, signal, stream: true });
+      const usage = emptyUsage();
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith('data:')) continue;
+        let event;
+        try {
+          event = JSON.parse(line.slice(5));
+        } catch (_e) {
+          continue;
+        }
+        if (event.type === 'message_start') usage.input_tokens = event.message?.usage?.input_tokens || 0;
+        else if (event.type === 'content_block_delta' && event.delta?.text) yield { delta: event.delta.text };
+        else if (event.type === 'message_delta') usage.output_tokens = event.usage?.output_tokens || 0;
+      }
+      yield { usage };
+    },
+  };
+}
+
+function createOllamaProvider({ model, timeoutMs, env }) {
+  const baseUrl = (env.OLLAMA_URL || 'http://localhost:11434').replace(/\/$/, '');
+
+  async function request(messages, { temperature, signal, stream }) {
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, messages, stream, options: { temperature } }),
+    });
+    if (!response.ok) {
+      throw new Error(`Ollama HTTP ${response.status}: ${(await response.text()).slice(0, 300)}`);
+    }
+    return response;
+  }
+
+  return {
+    name: 'ollama',
+    model,
+    timeoutMs,
+    async complete(messages, { temperature = 0.15, signal } = {}) {
+      const response = await request(messages, { temperature, signal, stream: false });
+      const data = await response.json();
+      return {
+        text: (data.message?.content || '').trim(),
+        usage: { input_tokens: data.prompt_eval_count || 0, output_tokens: data.eval_count || 0 },
+      };
+    },
+    // Newline-delimited JSON chunks; the last one (done: true) carries the counts
+    async *stream(messages, { temperature = 0.15, signal } = {}) {
+      const response = await request(messages, { temperature, signal, stream: true });
+      for await (const line of readLines(response.body)) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        if (data.message?.content) yield { delta: data.message.content };
+        if (data.done) yield { usage: { input_tokens: data.prompt_eval_count || 0, output_tokens: data.eval_count || 0 } };
+      }
+    },
+  };
+}
+
+function stubTokens(s) {
+  return (s || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 2);
+}
+
+// Deterministic offline answers: rank by goal-word overlap, plan as a single step.
+function stubAnswer(task) {
+  if (!task) return '{}';
+  if (task.kind === 'plan') {
+    return JSON.stringify({ steps: [task.goal] });
+  }
+  const goalTokens = new Set(stubTokens(task.goal));
+  const scored = (task.candidates || []).map((c, index) => {
+    const hay = new Set(stubTokens([c.accName, c.text, c.ariaLabel, ...(c.labels || [])].join(' ')));
+    let hits = 0;
+    for (const t of goalTokens) if (hay.has(t)) hits++;
+    // Feedback users gave on this control (see feedback.js) counts like matched words
+    return { id: c.id, hits, rank: hits + (c.confidenceHints?.feedback || 0), index };
+  });
+  scored.sort((a, b) => b.rank - a.rank || a.index - b.index);
+  if (!scored.length) return '{}';
+  const [best, ...rest] = scored;
+  const answer = {
+    elementId: best.id,
+    reason: `Stub: matched ${best.hits} goal word${best.hits === 1 ? '' : 's'}`,
+    confidence: Math.min(90, 40 + best.hits * 15),
+    alternates: rest.slice(0, 3).map((s) => s.id),
+  };
+  if (task.plan) answer.stepIndex = task.plan.current;
+  return JSON.stringify(answer);
+}
+
+function createStubProvider({ model, timeoutMs, env }) {
+  return {
+    name: 'stub',
+    model,
+    timeoutMs,
+    async complete(_messages, { task } = {}) {
+      const text = env.LLM_STUB_RESPONSE != null ? env.LLM_STUB_RESPONSE : stubAnswer(task);
+      return { text, usage: emptyUsage() };
+    },
+    // Same answer in small pieces, to exercise streaming clients
+    async *stream(messages, options = {}) {
+      const { text } = await this.complete(messages, options);
+      for (let i = 0; i < text.length; i += 16) yield { delta: text.slice(i, i + 16) };
+      yield { usage: emptyUsage() };
+    },
+  };
+}
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  ollama: createOllamaProvider,
+  stub: createStubProvider,
+};
+
+export function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(FACTORIES).join(', ')})`);
+  }
+  const timeoutMs = Number(env.LLM_TIMEOUT_MS) > 0 ? Number(env.LLM_TIMEOUT_MS) : DEFAULTS[name].timeoutMs;
+  return factory({ model: env.LLM_MODEL || DEFAULTS[name].model, timeoutMs, env });
+}
+
+// Call the provider with a hard timeout. Rejects with LLM_TIMEOUT; the in-flight request is aborted.
+export async function completeWithTimeout(provider, messages, options = {}) {
+  const controller = new AbortController();
+  let timer;
+  try {
+    const call = provider.complete(messages, { ...options, signal: controller.signal });
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error('LLM_TIMEOUT'));
+      }, provider.timeoutMs);
+    });
+    return await Promise.race([call, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Streaming variant of completeWithTimeout. onText receives the accumulated text after
+// every delta. Providers without stream() answer in one piece.
+export async function streamWithTimeout(provider, messages, options = {}, onText = () => {}) {
+  if (!provider.stream) {
+    const result = await completeWithTimeout(provider, messages, options);
+    onText(result.text);
+    return result;
+  }
+  const controller = new AbortController();
+  let timer;
+  try {
+    const run = (async () => {
+      let text = '';
+      let usage = emptyUsage();
+      for await (const part of provider.stream(messages, { ...options, signal: controller.signal })) {
+        if (part.delta) {
+          text += part.delta;
+          onText(text);
+        }
+        if (part.usage) usage = part.usage;
+      }
+      return { text: text.trim(), usage };
+    })();
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error('LLM_TIMEOUT'));
+      }, provider.timeoutMs);
+    });
+    return await Promise.race([run, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
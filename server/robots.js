@@ -0,0 +1,75 @@
+// robots.txt parsing and rule evaluation (RFC 9309).
+//
+// The most specific user-agent groups matching our product token win (all such groups
+// are merged); otherwise the "*" groups apply. Within the rules the longest matching
+// pattern decides, and Allow wins a tie. Patterns support "*" and a trailing "$".
+
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep <= 0) continue;
+    const key = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if ((key === 'allow' || key === 'disallow') && current) {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: key === 'allow', pattern: value });
+    }
+  }
+  return { groups, sitemaps };
+}
+
+// Rules that apply to a crawler whose product token is e.g. "ButtonBuddyBot"
+export function rulesForAgent(robots, productToken) {
+  const token = productToken.toLowerCase();
+  const specific = robots.groups.filter((g) => g.agents.some((a) => a !== '*' && token.startsWith(a)));
+  const chosen = specific.length ? specific : robots.groups.filter((g) => g.agents.includes('*'));
+  return chosen.flatMap((g) => g.rules);
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+// path includes the query string, e.g. "/account/settings?tab=security"
+export function isPathAllowed(rules, path) {
+  if (path === '/robots.txt') return true;
+  let best = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.pattern).test(path)) continue;
+    const longer = !best || rule.pattern.length > best.pattern.length;
+    const tieAllow = best && rule.pattern.length === best.pattern.length && rule.allow;
+    if (longer || tieAllow) best = rule;
+  }
+  return best ? best.allow : true;
+}
+
+// Rules to use when robots.txt could not be fetched: 4xx = no restrictions,
+// 5xx/unreachable = assume everything is disallowed.
+export function fallbackRules(status) {
+  return status >= 400 && status < 500 ? [] : [{ allow: false, pattern: '/' }];
+}
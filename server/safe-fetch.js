@@ -0,0 +1,194 @@
+// Outbound fetches for /site-hints crawling, hardened against SSRF.
+//
+// - only http/https on allowlisted ports
+// - hostnames are resolved through a guarded DNS lookup, so private, loopback,
+//   link-local and metadata addresses are refused at connect time (no rebinding gap)
+// - redirects are followed manually and every hop is re-validated, then offered to the
+//   caller's allowRedirect(url) (e.g. robots.txt rules for the hop's origin)
+// - response bodies are capped
+//
+// Config (env):
+//   SITE_HINTS_ALLOWED_PORTS   extra ports besides 80/443, comma-separated
+//   SITE_HINTS_MAX_BYTES       max response body size (default 2 MB)
+//   SITE_HINTS_ALLOW_PRIVATE   "true" to allow private addresses (local development only)
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import fetch from 'node-fetch';
+
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const ALLOWED_PORTS = new Set([
+  80,
+  443,
+  ...String(process.env.SITE_HINTS_ALLOWED_PORTS || '')
+    .split(',')
+    .map((p) => parseInt(p, 10))
+    .filter((p) => p > 0 && p < 65536),
+]);
+const MAX_BYTES = parseInt(process.env.SITE_HINTS_MAX_BYTES, 10) > 0 ? parseInt(process.env.SITE_HINTS_MAX_BYTES, 10) : DEFAULT_MAX_BYTES;
+const ALLOW_PRIVATE = process.env.SITE_HINTS_ALLOW_PRIVATE === 'true';
+
+export class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedUrlError';
+    this.code = 'ERR_BLOCKED_URL';
+  }
+}
+
+const blockList = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, incl. cloud metadata 169.254.169.254
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved + broadcast
+]) {
+  blockList.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+  ['2001:db8::', 32], // documentation
+]) {
+  blockList.addSubnet(prefix, bits, 'ipv6');
+}
+
+// IPv4 address embedded in an IPv4-mapped (::ffff:a.b.c.d / ::ffff:7f00:1) or NAT64 (64:ff9b::/96) address
+function embeddedIPv4(ip) {
+  const m = ip.toLowerCase().match(/^(?:::ffff:|64:ff9b::)(.+)$/);
+  if (!m) return null;
+  if (net.isIPv4(m[1])) return m[1];
+  const hex = m[1].match(/^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (!hex) return null;
+  const hi = parseInt(hex[1], 16);
+  const lo = parseInt(hex[2], 16);
+  return `${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`;
+}
+
+export function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) return blockList.check(ip, 'ipv4');
+  if (net.isIPv6(ip)) {
+    const v4 = embeddedIPv4(ip);
+    if (v4) return blockList.check(v4, 'ipv4');
+    return blockList.check(ip, 'ipv6');
+  }
+  return true;
+}
+
+// Scheme/port/literal-IP checks; hostnames are checked when they resolve
+export function validateUrl(input) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    throw new BlockedUrlError('Invalid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new BlockedUrlError(`Scheme not allowed: ${url.protocol}`);
+  }
+  if (url.username || url.password) {
+    throw new BlockedUrlError('Credentials in URL not allowed');
+  }
+  const port = url.port ? parseInt(url.port, 10) : url.protocol === 'https:' ? 443 : 80;
+  if (!ALLOWED_PORTS.has(port)) {
+    throw new BlockedUrlError(`Port not allowed: ${port}`);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!ALLOW_PRIVATE && (host === 'localhost' || host.endsWith('.localhost'))) {
+    throw new BlockedUrlError('Localhost not allowed');
+  }
+  if (!ALLOW_PRIVATE && net.isIP(host) && isPrivateAddress(host)) {
+    throw new BlockedUrlError(`Private address not allowed: ${host}`);
+  }
+  return url;
+}
+
+// dns.lookup replacement for the HTTP agents: refuse private results at connect time
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!ALLOW_PRIVATE) {
+      const blocked = addresses.find((a) => isPrivateAddress(a.address));
+      if (blocked) return callback(new BlockedUrlError(`${hostname} resolves to private address ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// fetch() with the guards above. Resolves to a node-fetch Response whose body is
+// capped at maxBytes (reading more rejects); response.url is the final URL. The timeout
+// also covers reading the body: it is cleared only once the body has ended.
+// allowRedirect(url) may return (a promise of) false to refuse a redirect hop.
+export async function safeFetch(input, { timeoutMs = 5000, maxBytes = MAX_BYTES, headers = {}, allowRedirect = null } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  let handedOver = false;
+  try {
+    let current = input;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const url = validateUrl(current);
+      let response;
+      try {
+        response = await fetch(url.href, {
+          headers,
+          redirect: 'manual',
+          signal: controller.signal,
+          agent: url.protocol === 'https:' ? httpsAgent : httpAgent,
+          size: maxBytes,
+        });
+      } catch (error) {
+        // node-fetch wraps the lookup failure in a FetchError; surface it as blocked
+        if (error && error.code === 'ERR_BLOCKED_URL') throw new BlockedUrlError(error.message);
+        throw error;
+      }
+      if (REDIRECT_STATUSES.has(response.status) && response.headers.get('location')) {
+        // Drain the redirect body so its socket is released
+        if (response.body) response.body.resume();
+        current = new URL(response.headers.get('location'), url).href;
+        if (allowRedirect && !(await allowRedirect(current))) throw new BlockedUrlError(`Redirect not allowed: ${current}`);
+        continue;
+      }
+      const declared = parseInt(response.headers.get('content-length') || '', 10);
+      if (declared > maxBytes) {
+        if (response.body) response.body.resume();
+        throw new BlockedUrlError(`Response too large: ${declared} bytes`);
+      }
+      if (response.body) {
+        const done = () => clearTimeout(timeoutId);
+        response.body.once('end', done);
+        response.body.once('error', done);
+        response.body.once('close', done);
+        handedOver = true;
+      }
+      return response;
+    }
+    throw new BlockedUrlError('Too many redirects');
+  } finally {
+    if (!handedOver) clearTimeout(timeoutId);
+  }
+}
@@ -0,0 +1,92 @@
+// Speech-to-text for /transcribe, used by the extension's voice input when the browser
+// has no speech recognition of its own.
+//
+// Every backend exposes the same shape:
+//   { name, model, timeoutMs, transcribe(audio: Buffer, { mimeType, language, signal }) -> { text } }
+// Others (a local whisper.cpp server, a cloud API...) plug in through
+// registerTranscriber(name, factory).
+//
+// Config (env):
+//   TRANSCRIBE_BACKEND      none (default: /transcribe answers 501) | openai | stub
+//   TRANSCRIBE_MODEL        model name (default whisper-1 for openai)
+//   TRANSCRIBE_TIMEOUT_MS   hard timeout per call (default 15000)
+//   TRANSCRIBE_MAX_BYTES    max audio upload size (default 5 MB)
+//   OPENAI_API_KEY, OPENAI_BASE_URL (shared with providers.js)
+//   TRANSCRIBE_STUB_TEXT    fixed transcript for the stub backend
+import { OpenAI, toFile } from 'openai';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/wav': 'wav', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a' };
+
+function createOpenAITranscriber({ model, timeoutMs, env }) {
+  // Only constructed when selected, so the server boots without OPENAI_API_KEY
+  const client = new OpenAI({ apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL || undefined });
+  return {
+    name: 'openai',
+    model: model || 'whisper-1',
+    timeoutMs,
+    async transcribe(audio, { mimeType = 'audio/webm', language, signal } = {}) {
+      const type = mimeType.split(';')[0].trim();
+      const file = await toFile(audio, `speech.${EXTENSIONS[type] || 'webm'}`, { type });
+      const resp = await client.audio.transcriptions.create(
+        { file, model: this.model, ...(language ? { language } : {}) },
+        { signal }
+      );
+      return { text: (resp && resp.text ? resp.text : '').trim() };
+    },
+  };
+}
+
+function createStubTranscriber({ model, timeoutMs, env }) {
+  return {
+    name: 'stub',
+    model: model || 'stub',
+    timeoutMs,
+    async transcribe(audio) {
+      return { text: env.TRANSCRIBE_STUB_TEXT != null ? env.TRANSCRIBE_STUB_TEXT : `stub transcript (${audio.length} bytes)` };
+    },
+  };
+}
+
+const FACTORIES = {
+  openai: createOpenAITranscriber,
+  stub: createStubTranscriber,
+};
+
+export function registerTranscriber(name, factory) {
+  FACTORIES[name] = factory;
+}
+
+// Resolves to null when TRANSCRIBE_BACKEND is unset or "none"
+export function createTranscriber(env = process.env) {
+  const name = (env.TRANSCRIBE_BACKEND || 'none').toLowerCase();
+  if (name === 'none') return null;
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown TRANSCRIBE_BACKEND "${name}" (expected one of: none, ${Object.keys(FACTORIES).join(', ')})`);
+  }
+  const timeoutMs = Number(env.TRANSCRIBE_TIMEOUT_MS) > 0 ? Number(env.TRANSCRIBE_TIMEOUT_MS) : DEFAULT_TIMEOUT_MS;
+  const transcriber = factory({ model: env.TRANSCRIBE_MODEL, timeoutMs, env });
+  transcriber.maxBytes = Number(env.TRANSCRIBE_MAX_BYTES) > 0 ? Number(env.TRANSCRIBE_MAX_BYTES) : DEFAULT_MAX_BYTES;
+  return transcriber;
+}
+
+// Like completeWithTimeout in providers.js. Rejects with TRANSCRIBE_TIMEOUT; the request is aborted.
+export async function transcribeWithTimeout(transcriber, audio, options = {}) {
+  const controller = new AbortController();
+  let timer;
+  try {
+    const call = transcriber.transcribe(audio, { ...options, signal: controller.signal });
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error('TRANSCRIBE_TIMEOUT'));
+      }, transcriber.timeoutMs);
+    });
+    return await Promise.race([call, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,131 @@
+// Structured-output validation for LLM ranking/plan responses.
+//
+// Validators return { value, errors }. `errors` lists the problems that make the
+// response unusable (unknown elementId, missing steps...); recoverable problems such as
+// out-of-range confidence or hallucinated alternates are fixed silently in `value`.
+
+const MAX_REASON_LENGTH = 200;
+const MAX_ALTERNATES = 3;
+
+// Find the first parseable JSON object in model text. Handles code fences and prose
+// around the object; scans balanced braces instead of a greedy regex so trailing
+// braces in the prose don't swallow the object.
+export function extractJsonObject(text) {
+  const s = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  try {
+    const direct = JSON.parse(s);
+    if (direct && typeof direct === 'object' && !Array.isArray(direct)) return direct;
+  } catch (_e) {}
+
+  for (let start = s.indexOf('{'); start !== -1; start = s.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < s.length; i++) {
+      const ch = s[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') inString = true;
+      else if (ch === '{') depth++;
+      else if (ch === '}' && --depth === 0) {
+        try {
+          return JSON.parse(s.slice(start, i + 1));
+        } catch (_e) {
+          break;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function clampConfidence(value) {
+  const n = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n)) return 50;
+  // Some models answer on a 0-1 scale; a whole 1 is read as 1% on the 0-100 scale we ask for
+  const scaled = n > 0 && n < 1 ? n * 100 : n;
+  return Math.round(Math.max(0, Math.min(100, scaled)));
+}
+
+function cleanReason(reason) {
+  const s = typeof reason === 'string' ? reason.replace(/\s+/g, ' ').trim() : '';
+  if (!s) return 'Chosen as best match to goal';
+  return s.length > MAX_REASON_LENGTH ? s.slice(0, MAX_REASON_LENGTH - 1) + '…' : s;
+}
+
+// candidateIds: Set of ids that were sent to the model; plan: normalized plan or null
+export function validateRankResponse(parsed, { candidateIds, plan = null }) {
+  const errors = [];
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { value: null, errors: ['Response is not a JSON object'] };
+  }
+
+  const elementId = typeof parsed.elementId === 'number' ? String(parsed.elementId) : parsed.elementId;
+  if (typeof elementId !== 'string' || !elementId.trim()) {
+    errors.push('"elementId" is missing or not a string');
+  } else if (!candidateIds.has(elementId)) {
+    errors.push(`"elementId" "${elementId.slice(0, 80)}" is not one of the candidate ids`);
+  }
+
+  const alternates = [];
+  if (Array.isArray(parsed.alternates)) {
+    for (const alt of parsed.alternates) {
+      const id = typeof alt === 'number' ? String(alt) : alt;
+      if (typeof id !== 'string' || id === elementId || !candidateIds.has(id) || alternates.includes(id)) continue;
+      alternates.push(id);
+      if (alternates.length >= MAX_ALTERNATES) break;
+    }
+  }
+
+  const value = {
+    elementId,
+    reason: cleanReason(parsed.reason),
+    confidence: clampConfidence(parsed.confidence),
+    alternates: alternates.length ? alternates : undefined,
+  };
+  if (plan) {
+    const stepIndex = Number(parsed.stepIndex);
+    value.stepIndex = Number.isInteger(stepIndex) && stepIndex >= plan.current && stepIndex < plan.steps.length
+      ? stepIndex
+      : plan.current;
+  }
+  return { value: errors.length ? null : value, errors };
+}
+
+export function validatePlanResponse(parsed, { maxSteps }) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { value: null, errors: ['Response is not a JSON object'] };
+  }
+  if (!Array.isArray(parsed.steps)) {
+    return { value: null, errors: ['"steps" is missing or not an array'] };
+  }
+  const steps = parsed.steps
+    .map((s) => (typeof s === 'string' ? s : s && typeof s.title === 'string' ? s.title : ''))
+    .map((s) => s.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .slice(0, maxSteps);
+  if (steps.length === 0) {
+    return { value: null, errors: ['"steps" must contain at least one non-empty string'] };
+  }
+  return { value: { steps }, errors: [] };
+}
+
+// Conversation for the single repair retry: the bad answer plus what was wrong with it.
+export function buildRepairMessages(messages, rawText, errors, hint = '') {
+  return [
+    ...messages,
+    { role: 'assistant', content: String(rawText || '').slice(0, 4000) || '(empty response)' },
+    {
+      role: 'user',
+      content:
+        'Your previous response was invalid:\n- ' +
+        errors.join('\n- ') +
+        (hint ? '\n' + hint : '') +
+        '\nRespond again with ONLY the corrected compact JSON object and nothing else.',
+    },
+  ];
+}